@@ -1,101 +1,511 @@
-import Auth from './src/auth.js'
+import Media from './src/media.js'
 import TorrentMedia from './src/torrent-media.js'
+import HTTPMedia from './src/http-media.js'
+import MediaPipeline from './src/media-pipeline.js'
+import * as Blurhash from './src/blurhash.js'
+import WebSocketTransport from './src/websocket-transport.js'
+import MemoryTransport, { MemoryServer } from './src/memory-transport.js'
+import Outbox from './src/outbox.js'
+import ObjectCache from './src/object-cache.js'
+import Query from './src/query.js'
+import './src/json-schema.js'
+import Pagination from './src/pagination.js'
+import Backoff from './src/backoff.js'
+import GraffitiArrayFactory from './src/array.js'
+import OrderedList from './src/ordered-list.js'
+import SharedText from './src/shared-text.js'
+import Social from './src/social.js'
+import Merge from './src/merge.js'
+import UndoManager from './src/undo-manager.js'
+import Audience from './src/audience.js'
+import Encryption from './src/encryption.js'
+import Signing from './src/signing.js'
+import Schemas from './src/schemas.js'
+import Auth from './src/auth.js'
+import {
+  GraffitiError,
+  NotConnectedError,
+  TimeoutError,
+  AuthorizationError,
+  ValidationError,
+  ServerError,
+  ConflictError,
+  MediaError
+} from './src/errors.js'
+
+export { WebSocketTransport, MemoryTransport, MemoryServer, Query, OrderedList, SharedText, Social }
+export { Media, TorrentMedia, HTTPMedia, MediaPipeline, Blurhash }
+export {
+  GraffitiError,
+  NotConnectedError,
+  TimeoutError,
+  AuthorizationError,
+  ValidationError,
+  ServerError,
+  ConflictError,
+  MediaError
+}
 
 export default class {
 
+  #flushing = null
+  #reconnectBackoff = null
+  #resendBackoff = null
+  #refreshBackoff = null
+  #tokenRefused = false // reconnect once the token is refreshed
+  #reconnectTimer = null
+  #connecting = false
+  #generation = 0 // which connection the handlers belong to
+  #refreshTimer = null
+  #refreshing = null
+  #transaction = null // id->entry collected by transaction()
+  #inbound = null // messages waiting on decryption
+  #urgent = new Set() // requests whose replies skip the wait
+  #authorized = null // resolves once we know who we are
+  #windowListeners = {}
+
   constructor(options={}) {
     options = {
       url: "https://graffiti.garden",
+      timeout: 30000, // milliseconds, or 0 to wait forever
+      historyLimit: 50, // revisions kept per object
+      encryption: false,
+      signing: false,
+      popupLogin: false, // log in without leaving the page
+      namespace: 'graffiti', // prefix of stored logins and databases
+      media: {}, // see src/media.js
       ...options
     }
+    options.reconnect = {
+      delay: 1000,        // milliseconds before the first retry
+      maxDelay: 30000,    // milliseconds
+      factor: 2,          // growth of the delay per attempt
+      jitter: 0.5,        // fraction of the delay to randomize
+      maxAttempts: Infinity,
+      hiddenFactor: 4,    // slow down while the tab is hidden
+      ...options.reconnect
+    }
 
     this.url = options.url
-    this.open = false
+    this.timeout = options.timeout
+    this.namespace = options.namespace
+    this.transport = options.transport ??
+      new WebSocketTransport(this.url, { namespace: this.namespace })
+    this.reconnect = options.reconnect
+    this.#reconnectBackoff = new Backoff(this.reconnect)
+    this.#resendBackoff = new Backoff(this.reconnect) // after timeouts
+    this.#refreshBackoff = new Backoff(this.reconnect) // after failed refreshes
+    this.onConflict = options.onConflict
+    this.historyLimit = options.historyLimit
+    this.popupLogin = options.popupLogin
+    this.schemas = new Schemas(options.schemas) // type->JSON Schema
+    this.state = 'connecting' // or 'open', 'reconnecting', 'closed'
     this.events = new EventTarget()
     this.eventTarget = new EventTarget()
     this.contextMap = {} // context->{Set(queryID), Set(id)}
+    this.queryMap = {} // queryID->{query, matches, Set(id), queue}
     this.objectMap = {} // uuid->object
-    this.media = new TorrentMedia()
+    this.revisions = new Map() // uuid->[object, ...] oldest first
+    this.media = new Media(options.media)
+    this.outbox = options.outbox ?? new Outbox(`${this.namespace}-outbox`)
+    this.cache = options.cache ?? new ObjectCache(`${this.namespace}-objects`)
+    this.encryptedContexts = new Map() // context->[actor]
+    this.encryption = options.encryption? new Encryption({
+      me: ()=> this.me,
+      loadKeys: ()=> Auth.loadKeys('encryption', this.me, this.namespace),
+      storeKeys: keys=> Auth.storeKeys('encryption', this.me, keys, this.namespace),
+      // Only keys signed by one of the actor's trusted
+      // signing keys, so the server can't swap in its own
+      lookup: async actor=> {
+        const objects = await this.#lookupKeys(actor, 'encryption')
+        const verified = await Promise.all(objects.map(object=>
+          Signing.isSigned(object) && this.signatures.verify(object)))
+        return objects.filter((_, i)=> verified[i]).map(object=> object.publicKey)
+      },
+      publish: async publicKey=> this.post({
+        type: 'PublicKey',
+        purpose: 'encryption',
+        publicKey,
+        context: [this.me]
+      })
+    }) : null
+    // Signatures are always checked but only made
+    // if the signing option is set, or on keys
+    this.signing = options.signing
+    this.signatures = new Signing({
+      me: ()=> this.me,
+      loadKeys: ()=> Auth.loadKeys('signing', this.me, this.namespace),
+      storeKeys: keys=> Auth.storeKeys('signing', this.me, keys, this.namespace),
+      lookup: actor=> this.#lookupKeys(actor, 'signing'),
+      loadPinned: actor=> Auth.loadKeys('pinnedSigning', actor, this.namespace),
+      storePinned: (actor, jwk)=> Auth.storeKeys('pinnedSigning', actor, jwk, this.namespace),
+      publish: async publicKey=> this.post({
+        type: 'PublicKey',
+        purpose: 'signing',
+        publicKey,
+        context: [this.me]
+      })
+    })
+    this.social = new Social({
+      me: ()=> this.me,
+      post: this.post.bind(this),
+      remove: this.remove.bind(this),
+      objects: this.objects.bind(this),
+      history: this.history.bind(this),
+      known: ()=> Object.values(this.objectMap)
+    })
+    this.GraffitiArray = GraffitiArrayFactory(
+      ()=> this.me, this.post.bind(this), this.remove.bind(this))
 
-    this.#initialize()
+    this.#authorized = this.#initialize()
   }
 
   async #initialize() {
     // Perform authorization
-    this.authParams = await Auth.connect(this.url)
-
-    // Rewrite the URL
-    this.wsURL = new URL(this.url)
-    this.wsURL.host = "app." + this.wsURL.host
-    if (this.wsURL.protocol == 'https:') {
-      this.wsURL.protocol = 'wss:'
-    } else {
-      this.wsURL.protocol = 'ws:'
+    const { loginError, ...authParams } = await this.transport.authorize()
+    this.authParams = authParams
+    this.#scheduleRefresh()
+    if (loginError) {
+      console.error(loginError)
+      this.#dispatchAuthChange('failed', loginError)
     }
-    if (this.authParams.token) {
-      this.wsURL.searchParams.set("token", this.authParams.token)
+
+    // Reconnect straight away when the browser
+    // comes back online or the tab becomes visible
+    if (typeof window != 'undefined') {
+      this.#windowListeners = {
+        online: ()=> this.#reconnectNow(),
+        visibilitychange: ()=> document.hidden || this.#reconnectNow()
+      }
+      window.addEventListener('online', this.#windowListeners.online)
+      document.addEventListener('visibilitychange', this.#windowListeners.visibilitychange)
     }
 
     // Commence connection
     this.#connect()
   }
 
+  get open() { return this.state == 'open' }
+
+  #setState(state) {
+    if (this.state == state) return
+    this.state = state
+    const stateEvent = new Event("statechange")
+    stateEvent.state = state
+    this.events.dispatchEvent(stateEvent)
+  }
+
   #connect() {
-    this.ws = new WebSocket(this.wsURL)
-    this.ws.onmessage = this.#onMessage.bind(this)
-    this.ws.onclose   = this.#onClose.bind(this)
-    this.ws.onopen    = this.#onOpen.bind(this)
+    if (this.state == 'closed') return
+    this.#connecting = true
+
+    // Ignore a connection that has been replaced
+    const generation = ++this.#generation
+    const current = handler=> (...args)=>
+      generation == this.#generation && handler(...args)
+    this.transport.connect({
+      onMessage: current(this.#onMessage.bind(this)),
+      onClose:   current(this.#onClose.bind(this)),
+      onOpen:    current(this.#onOpen.bind(this))
+    })
+  }
+
+  // Drop the connection and reconnect
+  // straight away, with new credentials
+  #restart() {
+    if (this.state == 'closed') return
+    const wasOpen = this.open
+    this.#generation++
+    clearTimeout(this.#reconnectTimer)
+    this.#reconnectTimer = null
+    this.transport.close?.()
+    this.#connecting = false
+    this.#setState('reconnecting')
+    this.#disconnected(wasOpen)
+    this.#reconnectBackoff.reset()
+    this.#connect()
   }
 
   // authorization functions
   get me() { return this.authParams.myActor }
   toggleLogIn() {
-    this.me? Auth.logOut() : Auth.logIn(this.url)
+    this.me? this.logOut() : this.logIn()
+  }
+
+  // Either leaves the page to log in or, with
+  // { popup: true }, logs in in a popup window
+  async logIn({ popup=this.popupLogin, ...options }={}) {
+    const authParams = await this.transport.logIn({ ...options, popup })
+    if (authParams?.myActor) await this.#reauthorize('login')
+  }
+
+  // Log out without reloading the page.
+  // Queued changes are kept for when you
+  // log back in.
+  async logOut() {
+    await this.transport.logOut()
+    await this.#reauthorize('logout')
+  }
+
+  // The actors logged in to, if the
+  // transport can hold several
+  accounts() {
+    return this.transport.accounts?.() ?? (this.me? [this.me] : [])
+  }
+
+  // Make another logged in actor the active one.
+  // Queued changes are kept for each actor and
+  // sent once they are active again.
+  async switchAccount(actor) {
+    if (actor == this.me) return
+    if (!this.transport.switchAccount) {
+      throw new Error("The transport can only hold one account")
+    }
+    await this.transport.switchAccount(actor)
+    await this.#reauthorize('switch')
+  }
+
+  // Take up the transport's current credentials
+  async #reauthorize(reason) {
+    const authParams = await this.transport.authorize()
+    const switched = authParams.myActor != this.me
+    if (switched) {
+      // Ignore the old connection while
+      // we swap out what it showed
+      this.#generation++
+      this.#forgetObjects()
+    }
+    this.authParams = authParams
+    this.#scheduleRefresh()
+    this.#dispatchAuthChange(reason)
+    if (switched) await this.#showLocal(Object.keys(this.contextMap))
+    this.#restart()
   }
 
-  async #onClose() {
-    console.error("lost connection to graffiti server, attemping reconnect soon...")
-    this.open = false
-    this.events.dispatchEvent(new Event("disconnected"))
-    await new Promise(resolve => setTimeout(resolve, 2000))
+  // Another actor may see different versions of
+  // objects, so drop everything the last one saw
+  // and let the resubscription fill it back in
+  #forgetObjects() {
+    const contexts = Object.keys(this.contextMap)
+    for (const object of Object.values(this.objectMap)) {
+      this.#removeCallback(object, contexts, { keepCached: true })
+    }
+    this.revisions.clear()
+    this.encryption?.reset()
+    this.signatures.reset()
+  }
+
+  #dispatchAuthChange(reason, error) {
+    const authEvent = new Event("authchange")
+    authEvent.me = this.me
+    authEvent.reason = reason
+    if (error) authEvent.error = error
+    this.events.dispatchEvent(authEvent)
+  }
+
+  // Refresh the token a minute before it expires,
+  // or after wait milliseconds
+  #scheduleRefresh(wait) {
+    clearTimeout(this.#refreshTimer)
+    this.#refreshTimer = null
+    const { expires } = this.authParams
+    if (!this.me || !expires || !this.transport.refresh || this.state == 'closed') return
+    wait ??= Math.min(2**31 - 1, Math.max(0, expires - Date.now() - 60000))
+    this.#refreshTimer = setTimeout(()=> this.#refresh(), wait)
+  }
+
+  // Resolves to whether the token could be refreshed.
+  // If the refresh token was refused, carry on anonymously
+  // until the app logs in. Other failures, like being
+  // offline, are retried with backoff.
+  #refresh() {
+    if (!this.transport.refresh) return Promise.resolve(false)
+    if (!this.#refreshing) {
+      this.#refreshing = (async ()=> {
+        try {
+          this.authParams = await this.transport.refresh()
+          this.#refreshBackoff.reset()
+          this.#scheduleRefresh()
+          this.#dispatchAuthChange('refresh')
+          if (this.#tokenRefused) {
+            this.#tokenRefused = false
+            this.#restart()
+          }
+          return true
+        } catch (e) {
+          console.error(e)
+          if (!(e instanceof AuthorizationError)) {
+            this.#scheduleRefresh(this.#refreshBackoff.next())
+            return false
+          }
+          this.#tokenRefused = false
+          await this.transport.logOut()
+          await this.#reauthorize('expired')
+          return false
+        }
+      })().finally(()=> this.#refreshing = null)
+    }
+    return this.#refreshing
+  }
+
+  // The server refused our credentials, so
+  // reconnect once they have been refreshed
+  async #onAuthorizationError() {
+    if (!this.me || !this.transport.refresh) return
+    this.#tokenRefused = true
+    // Unless a retry is already waiting
+    if (!this.#refreshBackoff.attempts) await this.#refresh()
+  }
+
+  #onClose() {
+    this.#connecting = false
+    if (this.state == 'closed') return
+    const wasOpen = this.open
+    this.#setState('reconnecting')
+    this.#disconnected(wasOpen)
+    this.#scheduleReconnect()
+  }
+
+  #disconnected(wasOpen) {
+    this.#flushing = null
+
+    // Reject requests still waiting for a reply
+    this.eventTarget.dispatchEvent(new Event("close"))
+    if (wasOpen) this.events.dispatchEvent(new Event("disconnected"))
+  }
+
+  #scheduleReconnect() {
+    clearTimeout(this.#reconnectTimer)
+    this.#reconnectTimer = null
+
+    if (this.#reconnectBackoff.exhausted) {
+      this.close()
+      return
+    }
+
+    // Wait for the 'online' event instead
+    if (typeof navigator != 'undefined' && navigator.onLine === false) return
+
+    const wait = this.#reconnectBackoff.next({
+      slow: typeof document != 'undefined' && document.hidden
+    })
+    this.#reconnectTimer = setTimeout(()=> {
+      this.#reconnectTimer = null
+      this.#connect()
+    }, wait)
+  }
+
+  #reconnectNow() {
+    // Only skip the wait if no attempt is in progress
+    if (this.state != 'reconnecting' || this.#connecting) return
+    clearTimeout(this.#reconnectTimer)
+    this.#reconnectTimer = null
     this.#connect()
   }
 
-  async #request(msg) {
+  // Permanently shut down the connection
+  close() {
+    if (this.state == 'closed') return
+    const wasOpen = this.open
+    this.#setState('closed')
+    clearTimeout(this.#reconnectTimer)
+    clearTimeout(this.#refreshTimer)
+    if (typeof window != 'undefined') {
+      window.removeEventListener('online', this.#windowListeners.online)
+      document.removeEventListener('visibilitychange', this.#windowListeners.visibilitychange)
+    }
+    this.transport.close?.()
+    this.#disconnected(wasOpen)
+  }
+
+  async #request(msg, { timeout=this.timeout, signal, urgent }={}) {
+    signal?.throwIfAborted()
     if (!this.open) {
-      throw "Can't make request! Not connected to graffiti server"
+      throw new NotConnectedError("Can't make request! Not connected to graffiti server")
     }
 
     // Create a random message ID
     const messageID = crypto.randomUUID()
+    if (urgent) this.#urgent.add(messageID)
+
+    // Create a listener for the reply that gives up
+    // if the request times out, is aborted or the
+    // connection closes
+    const dataPromise = new Promise((resolve, reject)=> {
+      const settle = (error, data)=> {
+        clearTimeout(timeoutID)
+        this.#urgent.delete(messageID)
+        this.eventTarget.removeEventListener('$' + messageID, onReply)
+        this.eventTarget.removeEventListener("close", onClose)
+        signal?.removeEventListener("abort", onAbort)
+        error? reject(error) : resolve(data)
+      }
+      const onReply = e=> settle(null, e.data)
+      const onClose = ()=> settle(new NotConnectedError(
+        "Lost connection to graffiti server before it replied"))
+      const onAbort = ()=> settle(signal.reason)
+      const timeoutID = timeout && setTimeout(()=> settle(new TimeoutError(
+        `The graffiti server did not reply within ${timeout} milliseconds`)), timeout)
 
-    // Create a listener for the reply
-    const dataPromise = new Promise(resolve => {
       this.eventTarget.addEventListener(
         '$' + messageID,
-        e=> resolve(e.data),
+        onReply,
+        { once: true, passive: true }
+      )
+      this.eventTarget.addEventListener(
+        "close",
+        onClose,
+        { once: true, passive: true }
+      )
+      signal?.addEventListener(
+        "abort",
+        onAbort,
         { once: true, passive: true }
       )
     })
 
     // Send the request
     msg.messageID = messageID
-    this.ws.send(JSON.stringify(msg))
+    this.transport.send(msg)
 
     // Await the reply
     const data = await dataPromise
     delete data.messageID
 
     if ('error' in data) {
-      throw data
+      throw GraffitiError.fromReply(data)
     } else {
       return data.reply
     }
   }
 
-  #onMessage(event) {
-    const data = JSON.parse(event.data)
+  // Signed and encrypted objects are checked and
+  // decrypted asynchronously, so while any are being
+  // processed later messages wait their turn. Replies
+  // to the requests made while processing can't wait.
+  #onMessage(data) {
+    const needsWork = Encryption.isEncrypted(data.update) || Signing.isSigned(data.update)
+    if ((this.#inbound || needsWork) && !this.#urgent.has(data.messageID)) {
+      const generation = this.#generation
+      const inbound = this.#inbound = (this.#inbound ?? Promise.resolve())
+        .then(async ()=> {
+          if ('update' in data) {
+            data = { ...data, update: await this.#receive(data.update) }
+          }
+          // Drop what the old connection sent
+          if (generation == this.#generation) this.#handleMessage(data)
+        })
+        .catch(e=> console.error(e))
+        .finally(()=> {
+          if (this.#inbound === inbound) this.#inbound = null
+        })
+    } else {
+      if ('update' in data) Signing.flag(data.update, false)
+      this.#handleMessage(data)
+    }
+  }
 
+  #handleMessage(data) {
     if ('messageID' in data) {
       // It's a reply
       // Forward it back to the sender
@@ -104,28 +514,61 @@ export default class {
       this.eventTarget.dispatchEvent(messageEvent)
 
     } else if ('update' in data) {
+      // Local changes that haven't reached
+      // the server yet take precedence
+      if (this.#isPending(data['update'].id)) return
       this.#updateCallback(data['update'])
 
     } else if ('remove' in data) {
+      if (this.#isPending(data['remove'].id)) return
       this.#removeCallback(data['remove'])
 
     } else if ('error' in data) {
       if (data.error == 'authorization') {
-        Auth.logOut()
+        return this.#onAuthorizationError()
       }
-      throw data
+      throw GraffitiError.fromReply(data)
     }
   }
 
   #updateCallback(object) {
+    // A copy of an object we already have is only
+    // sent to the queries that haven't seen it yet
+    const existing = this.objectMap[object.id]
+    const changed = !existing || existing === object ||
+      JSON.stringify(existing) != JSON.stringify(object)
+    if (!changed) object = existing
+
+    // Drop objects that don't match the schema for their
+    // type (unless they couldn't be decrypted to check)
+    if (changed && existing !== object && !object.encryptionError) {
+      const invalid = this.schemas.validate(object)
+      if (invalid) {
+        const invalidEvent = new Event("invalid")
+        invalidEvent.object = object
+        invalidEvent.error = new ValidationError(`Invalid ${object.type}: ${invalid}`)
+        this.events.dispatchEvent(invalidEvent)
+        return null
+      }
+    }
+
     // Add the ID to the context map
     let subscribedContexts = []
-    for (const context of [...object.context, object.id]) {
+    let notifyContexts = []
+    for (const context of Audience.contexts(object)) {
       if (!(context in this.contextMap)) continue
-      this.contextMap[context].ids.add(object.id)
+      const slot = this.contextMap[context]
+      slot.resyncs.forEach(stale=> stale.delete(object.id))
+      if (changed || !slot.ids.has(object.id)) notifyContexts.push(context)
+      slot.ids.add(object.id)
       subscribedContexts.push(context)
     }
 
+    // Our own local copies are trusted
+    if (!Object.hasOwn(object, 'verified') && object.actor == this.me) {
+      Signing.flag(object, !!this.signing)
+    }
+
     // Add proxy functions so object modifications
     // sync with the server
     if (!('__graffitiProxy' in object)) {
@@ -135,26 +578,36 @@ export default class {
 
     if (subscribedContexts.length) {
       this.objectMap[object.id] = object
+      if (changed) {
+        this.cache.put(object, this.me)
+        this.#record(object)
+      }
 
       // Send to each listener
-      ;[...new Set(subscribedContexts.map(c=>[...this.contextMap[c].queries]).flat())]
-        .forEach(queryID=> {
-          const objectEvent = new Event('#' + queryID)
-          objectEvent.object = object
-          this.eventTarget.dispatchEvent(objectEvent)
-        })
+      ;[...new Set(notifyContexts.map(c=>[...this.contextMap[c].queries]).flat())]
+        .forEach(queryID=> this.#dispatch(queryID, object))
     }
 
     return object
   }
 
-  #removeCallback(object) {
+  // Keep a copy of each version of an object
+  #record(object) {
+    const revisions = this.revisions.get(object.id) ?? []
+    const revision = JSON.parse(JSON.stringify(object))
+    if (Merge.equals(revisions.at(-1), revision)) return
+    revisions.push(revision)
+    if (revisions.length > this.historyLimit) revisions.shift()
+    this.revisions.set(object.id, revisions)
+  }
+
+  #removeCallback(object, contexts=Audience.contexts(object), { keepCached=false }={}) {
     const unsupportedContexts = []
     const supportedContexts   = []
     for (const context in this.contextMap) {
       if (this.contextMap[context].ids.has(object.id)) {
         // TODO: it is ambiguous whether object.id should be deleted...
-        if ([...object.context, object.id].includes(context)) {
+        if (contexts.includes(context)) {
           this.contextMap[context].ids.delete(object.id)
           unsupportedContexts.push(context)
         } else {
@@ -167,6 +620,7 @@ export default class {
     if (!supportedContexts.length && object.id in this.objectMap) {
       delete this.objectMap[object.id]
     }
+    if (!keepCached) this.cache.delete(object.id, this.me)
 
     // These are all the queries that (may) see a delete
     const unsupportedQueries = new Set(unsupportedContexts.map(c=>[...this.contextMap[c].queries]).flat())
@@ -175,15 +629,12 @@ export default class {
     // Only send messages to the queries with no support at all
     // unsupportedQueries - supportedQueries
     ;[...unsupportedQueries].filter(q=> !supportedQueries.has(q))
-      .forEach(queryID=> {
-        const objectEvent = new Event('#' + queryID)
-        // Strip the object to just it's ID for the event
-        objectEvent.object = { id: object.id }
-        this.eventTarget.dispatchEvent(objectEvent)
-      })
+      // Strip the object to just it's ID for the event
+      .forEach(queryID=> this.#dispatch(queryID, { id: object.id }))
   }
 
   post(object) {
+    if (!this.me) throw new AuthorizationError("Log in to post")
     object.actor = this.me
     object.id =
       `graffitiobject://${this.me.substring(16)}:${crypto.randomUUID()}`
@@ -197,26 +648,392 @@ export default class {
     // De-dupe contexts
     object.context = [...new Set(object.context)];
 
+    // Private objects must be addressed to actors
+    const invalidAudience = Audience.validate(object)
+    if (invalidAudience) {
+      throw new ValidationError(`Invalid audience: ${invalidAudience}`)
+    }
+
+    // Objects of registered types must match their schema
+    const invalidType = this.schemas.validate(object)
+    if (invalidType) {
+      throw new ValidationError(`Invalid ${object.type}: ${invalidType}`)
+    }
+
+    // Encrypted objects must be addressed to actors
+    if (!('encryptTo' in object)) {
+      const context = object.context.find(c=> this.encryptedContexts.has(c))
+      if (context) object.encryptTo = [...this.encryptedContexts.get(context)]
+    }
+    if ('encryptTo' in object) {
+      if (!this.encryption) {
+        throw new ValidationError("Encryption is not enabled")
+      }
+      if (!Array.isArray(object.encryptTo) || !object.encryptTo.every(r=>
+          typeof r == 'string' && r.startsWith('graffitiactor://'))) {
+        throw new ValidationError("encryptTo must be an array of actor URIs")
+      }
+    }
+
     // Immediately replace the object
     object = this.#updateCallback(object)
 
-    // Send it to the server
-    this.#request({ update: object }).catch(e=>{
-      this.#removeCallback(object)
-      throw e
-    })
+    // Send it to the server, or queue it until connected
+    this.#change({ id: object.id, update: object, original: null })
 
     return object
   }
 
   remove(...objects) {
+    if (objects.some(object=> object.actor != this.me)) {
+      throw new AuthorizationError("Only your own objects can be removed")
+    }
     for (const object of objects) {
       const originalObject = Object.assign({}, object)
       this.#removeCallback(object)
-      this.#request({ remove: object.id }).catch(e=> {
-        this.#updateCallback(originalObject)
-        throw e
-      })
+      this.#change({ id: object.id, remove: object.id, original: originalObject })
+    }
+  }
+
+  // Encrypt objects posted to a context
+  // to the given actors unless they say
+  // otherwise with their own encryptTo
+  encryptContext(context, actors) {
+    this.encryptedContexts.set(context, [...actors])
+  }
+
+  // Check an incoming object's signature and decrypt it
+  async #receive(object) {
+    if (!object) return object
+    const verified = Signing.isSigned(object) && await this.signatures.verify(object)
+    return Signing.flag(await this.#decrypt(object), verified)
+  }
+
+  async #decrypt(object) {
+    if (!Encryption.isEncrypted(object)) return object
+    if (!this.encryption) return Encryption.flag(object, "Encryption is not enabled")
+    return await this.encryption.decrypt(object)
+  }
+
+  // The PublicKey objects an actor has
+  // published for a purpose, newest first
+  async #lookupKeys(actor, purpose) {
+    const { objects } = await this.#request({
+      history: [actor],
+      limit: 10,
+      sortBy: 'published',
+      query: { type: 'PublicKey', purpose, actor }
+    }, { urgent: true })
+    // Don't rely on the server to have applied the query
+    return objects.filter(object=> object.type == 'PublicKey'
+      && object.purpose == purpose && object.actor == actor
+      && typeof object.publicKey == 'object' && object.publicKey !== null)
+  }
+
+  // Whether you are in the object's bto or bcc
+  addressedToMe(object) {
+    return Audience.recipients(object).includes(this.me)
+  }
+
+  // Stream the objects addressed to you, from any
+  // context. Takes the same options as objects()
+  inbox(options={}) {
+    if (typeof AbortSignal != 'undefined' && options instanceof AbortSignal) {
+      options = { signal: options }
+    }
+    const query = Audience.query(this.me)
+    return this.objects([this.me], {
+      ...options,
+      query: options.query? { $and: [options.query, query] } : query
+    })
+  }
+
+  // 'pending' if the object has changes that haven't
+  // reached the server, 'failed' if the server rejected
+  // them and 'synced' otherwise
+  status(object) {
+    const entry = this.outbox.get(object.id)
+    return !entry? 'synced' : entry.failed? 'failed' : 'pending'
+  }
+
+  // Reapply and resend a change that the server rejected,
+  // along with the rest of its transaction if it had one
+  retry(object) {
+    const entry = this.outbox.get(object.id)
+    if (!entry?.failed) return
+    for (const change of entry.batch ?? [entry]) {
+      if ('update' in change) {
+        if (change.original) this.#removeCallback(change.original)
+        this.#updateCallback(JSON.parse(JSON.stringify(change.update)))
+      } else {
+        this.#removeCallback(change.original)
+      }
+    }
+    this.#enqueue(entry)
+  }
+
+  // Forget a change that the server rejected
+  discard(object) {
+    const entry = this.outbox.get(object.id)
+    if (!entry?.failed) return
+    this.outbox.delete(entry.id)
+    for (const change of entry.batch ?? [entry]) {
+      this.#dispatchStatus(change.id)
+    }
+  }
+
+  // Collect the posts, removals and edits made by fn
+  // and send them as a single message. They are shown
+  // immediately and if the server rejects any of them,
+  // all of them are rolled back. If fn is asynchronous,
+  // changes made elsewhere while it runs are included.
+  async transaction(fn) {
+    // Nested transactions join the outer one
+    if (this.#transaction) return await fn()
+
+    const transaction = this.#transaction = new Map()
+    let result
+    try {
+      result = await fn()
+    } catch (e) {
+      this.#transaction = null
+      ;[...transaction.values()].reverse().forEach(change=> this.#rollback(change))
+      throw e
+    }
+    this.#transaction = null
+
+    if (transaction.size) {
+      const batch = [...transaction.values()]
+      this.#enqueue({ id: 'batch:' + crypto.randomUUID(), actor: this.me, batch })
+      this.#dispatchChanges(batch)
+    }
+    return result
+  }
+
+  // Earlier versions of an object seen by this
+  // client, oldest first and ending with the current one
+  versions(object) {
+    return (this.revisions.get(object.id) ?? [])
+      .map(revision=> JSON.parse(JSON.stringify(revision)))
+  }
+
+  // Undo and redo your changes, grouped by transaction
+  undoManager(options) {
+    return new UndoManager({
+      events: this.events,
+      transaction: fn=> this.transaction(fn),
+      current: id=> this.objectMap[id] ?? null,
+      restore: object=> this.#restore(object),
+      remove: id=> this.objectMap[id] && this.remove(this.objectMap[id]),
+    }, options)
+  }
+
+  // Write back a whole version of one of your
+  // own objects, recreating it if it was removed
+  #restore(version) {
+    const object = JSON.parse(JSON.stringify(version))
+    object.updated = new Date().toISOString()
+    const existing = this.objectMap[object.id]
+    const original = existing? JSON.parse(JSON.stringify(existing)) : null
+    if (existing) this.#removeCallback(existing)
+    this.#updateCallback(object)
+    this.#change({ id: object.id, update: object, original })
+  }
+
+  #isPending(id) {
+    const entry = this.outbox.get(id)
+    return entry && !entry.failed
+  }
+
+  // A change made locally, sent now or
+  // at the end of the current transaction
+  #change(entry) {
+    entry.actor = this.me
+    if (this.#transaction) return this.#collect(entry)
+    this.#enqueue(entry)
+    this.#dispatchChanges([entry])
+  }
+
+  // Announce local changes as { id, before, after }
+  // where either version may be null
+  #dispatchChanges(entries) {
+    const changeEvent = new Event("localchange")
+    changeEvent.changes = entries.map(entry=> JSON.parse(JSON.stringify({
+      id: entry.id,
+      before: entry.original,
+      after: 'update' in entry? entry.update : null
+    })))
+    this.events.dispatchEvent(changeEvent)
+  }
+
+  #enqueue(entry) {
+    this.outbox.enqueue(entry)
+    for (const change of entry.batch ?? [entry]) {
+      this.#dispatchStatus(change.id)
+    }
+    this.#flush()
+  }
+
+  // Coalesce changes to an object within a transaction
+  #collect(entry) {
+    entry = JSON.parse(JSON.stringify(entry))
+    const existing = this.#transaction.get(entry.id)
+    if (existing) {
+      this.#transaction.delete(entry.id)
+      if (existing.original === null && 'remove' in entry) return
+      entry.original = existing.original
+    }
+    this.#transaction.set(entry.id, entry)
+  }
+
+  #dispatchStatus(id) {
+    const statusEvent = new Event("status")
+    statusEvent.id = id
+    statusEvent.status = this.status({ id })
+    statusEvent.error = this.outbox.get(id)?.error
+    this.events.dispatchEvent(statusEvent)
+  }
+
+  async #flush() {
+    // Changes wait while logged out
+    if (this.#flushing || !this.open || !this.me) return
+    const flushing = this.#flushing = {}
+    await this.outbox.ready
+
+    // Send queued changes one at a time, in order.
+    // If the connection drops, stop and replay once reconnected
+    let entry
+    while (this.#flushing === flushing && (entry = this.outbox.pendingFor(this.me)[0])) {
+      entry.sending = true
+      try {
+        await this.#request(await this.#entryMessage(entry))
+      } catch (e) {
+        delete entry.sending
+        if (this.#flushing !== flushing) return
+        // Resend if the server didn't reply in time,
+        // backing off in case it is overloaded
+        if (e instanceof TimeoutError) {
+          await this.#waitToResend()
+          continue
+        }
+        if (e instanceof ConflictError && 'update' in entry) {
+          this.#resolveConflict(entry, await this.#receive(e.data.current))
+          continue
+        }
+        if (this.outbox.fail(entry, e)) this.#rollback(entry)
+        for (const change of entry.batch ?? [entry]) {
+          this.#dispatchStatus(change.id)
+        }
+        continue
+      }
+      delete entry.sending
+      this.#resendBackoff.reset()
+      this.outbox.sent(entry)
+      for (const change of entry.batch ?? [entry]) {
+        this.#dispatchStatus(change.id)
+      }
+    }
+
+    if (this.#flushing === flushing) this.#flushing = null
+  }
+
+  // Resolves after the backoff or once
+  // disconnected, whichever comes first
+  #waitToResend() {
+    return new Promise(resolve=> {
+      const done = ()=> {
+        clearTimeout(timer)
+        this.eventTarget.removeEventListener("close", done)
+        resolve()
+      }
+      const timer = setTimeout(done, this.#resendBackoff.next())
+      this.eventTarget.addEventListener("close", done, { once: true, passive: true })
+    })
+  }
+
+  // Updates to existing objects say which version
+  // they were based on, so the server can refuse them
+  // if someone else has changed the object since
+  async #entryMessage(entry) {
+    if ('batch' in entry) {
+      return { batch: await Promise.all(entry.batch.map(e=> this.#entryMessage(e))) }
+    }
+    if ('remove' in entry) return { remove: entry.remove }
+    // Any old signature is replaced
+    const { signature, ...update } = entry.update
+    const msg = { update }
+    if ('encryptTo' in update) {
+      msg.update = await this.encryption.encrypt(update)
+    }
+    // Keys are always signed so others can tell they are ours
+    if (this.signing || update.type == 'PublicKey') {
+      msg.update = await this.signatures.sign(msg.update)
+    }
+    if (entry.original) msg.base = entry.original.updated
+    return msg
+  }
+
+  // Merge our changes with the server's copy of the object.
+  // Fields changed on both sides are reported with a
+  // "conflict" event and passed to the onConflict option,
+  // which may return the object to use instead
+  #resolveConflict(entry, remote) {
+    // It has been edited again and the
+    // new edit will be merged in turn
+    if (this.outbox.get(entry.id) !== entry) return
+
+    const base = entry.original
+    const local = entry.update
+    const { merged, conflicts } = remote?
+      Merge.threeWay(base, local, remote) : { merged: null, conflicts: [] }
+
+    let resolved = merged
+    if (conflicts.length || !remote) {
+      const conflict = { id: entry.id, base, local, remote, merged, conflicts }
+      const conflictEvent = new Event("conflict")
+      conflictEvent.conflict = conflict
+      this.events.dispatchEvent(conflictEvent)
+      const choice = this.onConflict?.(conflict)
+      if (choice !== undefined) resolved = choice
+    }
+
+    // Show the resolution and send it based on the server's copy
+    this.outbox.delete(entry.id)
+    this.#removeCallback(local)
+    if (resolved) {
+      resolved = JSON.parse(JSON.stringify(resolved))
+      Object.assign(resolved, { id: local.id, actor: local.actor, published: local.published })
+      if (!remote || !Merge.equals(resolved, remote)) {
+        resolved.updated = new Date().toISOString()
+        this.outbox.enqueue({ id: entry.id, actor: entry.actor, update: resolved, original: remote })
+      }
+      this.#updateCallback(JSON.parse(JSON.stringify(resolved)))
+    }
+    this.#dispatchStatus(entry.id)
+  }
+
+  #rollback(entry) {
+    if ('batch' in entry) {
+      [...entry.batch].reverse().forEach(change=> this.#rollback(change))
+      return
+    }
+    if ('update' in entry) {
+      this.#removeCallback(entry.update)
+    }
+    if (entry.original) {
+      this.#updateCallback(JSON.parse(JSON.stringify(entry.original)))
+    }
+  }
+
+  // Show queued changes to objects in the given contexts
+  #applyPending(contexts) {
+    for (const entry of this.outbox.pendingChanges(this.me)) {
+      if (!('update' in entry)) continue
+      const object = entry.update
+      if (Audience.contexts(object).some(c=> contexts.includes(c))) {
+        this.#updateCallback(
+          this.objectMap[object.id] ?? JSON.parse(JSON.stringify(object)))
+      }
     }
   }
 
@@ -232,63 +1049,110 @@ export default class {
         }
       },
       set: (target, prop, val, receiver)=> {
+        if (object.actor != this.me) {
+          throw new AuthorizationError("Only your own objects can be changed")
+        }
         // Store the original, perform the update,
         // sync with server and restore original if error
-        const originalObject = Object.assign({}, object)
+        const originalObject = JSON.parse(JSON.stringify(object))
+        const had = Object.hasOwn(target, prop)
+        const previous = target[prop]
         if (Reflect.set(target, prop, val, receiver)) {
+          // Undo edits that break the object's schema
+          const invalid = this.schemas.validate(object)
+          if (invalid) {
+            had? Reflect.set(target, prop, previous) : Reflect.deleteProperty(target, prop)
+            throw new ValidationError(`Invalid ${object.type}: ${invalid}`)
+          }
           object.updated = new Date().toISOString()
           this.#removeCallback(originalObject)
           this.#updateCallback(object)
-          this.#request({ update: object }).catch(e=> {
-            this.#removeCallback(object)
-            this.#updateCallback(originalObject)
-            throw e
-          })
+          this.#change({ id: object.id, update: object, original: originalObject })
           return true
         } else { return false }
       }, 
       deleteProperty: (target, prop)=> {
-        const originalObject = Object.assign({}, object)
+        if (object.actor != this.me) {
+          throw new AuthorizationError("Only your own objects can be changed")
+        }
+        const originalObject = JSON.parse(JSON.stringify(object))
+        const previous = target[prop]
         if (Reflect.deleteProperty(target, prop)) {
-          this.#request({ update: object }).catch(e=> {
-            this.#updateCallback(originalObject)
-            throw e
-          })
+          const invalid = this.schemas.validate(object)
+          if (invalid) {
+            Reflect.set(target, prop, previous)
+            throw new ValidationError(`Invalid ${object.type}: ${invalid}`)
+          }
+          this.#change({ id: object.id, update: object, original: originalObject })
           return true
         } else { return false }
       }
     }
   }
 
-  async myContexts() {
-    return await this.#request({ ls: null })
+  async myContexts(options) {
+    return await this.#request({ ls: null }, options)
   }
 
-  async *objects(contexts, signal) {
+  // Stream the objects in the given contexts, followed by
+  // live updates. Removed objects are sent as { id }.
+  // Options may include a MongoDB-style query, a JSON schema
+  // and a type (or array of types), which are sent to the
+  // server with the subscription and enforced locally.
+  // A limit (and sortBy) asks the server for only the newest
+  // objects, and older ones can be paged in with history().
+  // A bare AbortSignal is also accepted.
+  // options.onCursor is called with the cursor to page from
+  // (or null if there is nothing older) once the server has
+  // sent the newest objects, and again after reconnecting.
+  async *objects(contexts, options={}) {
+    if (typeof AbortSignal != 'undefined' && options instanceof AbortSignal) {
+      options = { signal: options }
+    }
+    const { signal } = options
     if (!contexts) contexts = [this.me]
     contexts = contexts.filter(context=> context!=null)
 
-    // Subscribe
+    // Register the query
     const queryID = crypto.randomUUID()
+    const query = Query.fromOptions(options)
+    const { limit=null, sortBy='published' } = options
+    if (limit) Pagination.validate(sortBy)
+    const state = this.queryMap[queryID] = {
+      contexts,
+      query,
+      limit,
+      sortBy,
+      onCursor: options.onCursor,
+      matches: query? Query.compile(query) : ()=> true,
+      ids: new Set(), // objects the query has been sent
+      queue: []
+    }
+
+    // Subscribe
     this.#subscribe(contexts, queryID)
 
     // Send existing objects
     const ids = new Set(contexts.map(c=>[...this.contextMap[c].ids]).flat())
     for (const id of ids) {
-      yield this.objectMap[id]
+      this.#dispatch(queryID, this.objectMap[id])
     }
 
     try {
-      // Wait for updates
-      while (true) {
-        yield await new Promise((resolve, reject)=> {
-          const retreive = e=> {
+      while (!signal?.aborted) {
+        while (state.queue.length) {
+          yield state.queue.shift()
+        }
+
+        // Wait for updates
+        await new Promise((resolve, reject)=> {
+          const retreive = ()=> {
             signal?.removeEventListener("abort", abort)
-            resolve(e.object)
+            resolve()
           }
           const abort = ()=> {
             this.eventTarget.removeEventListener('#' + queryID, retreive)
-            reject(this.reason)
+            reject(signal.reason)
           }
           this.eventTarget.addEventListener(
             '#' + queryID,
@@ -303,40 +1167,273 @@ export default class {
         })
       }
     } catch {} finally {
+      delete this.queryMap[queryID]
       this.#unsubscribe(contexts, queryID)
     }
   }
 
+  // A GraffitiArray of the objects in the given contexts
+  // that stays up to date until options.signal aborts.
+  // It takes the same options as objects() and dispatches
+  // a "change" event on its events property when updated
+  array(contexts, options={}) {
+    if (!contexts) contexts = [this.me]
+    contexts = contexts.filter(context=> context!=null)
+
+    const query = Query.fromOptions(options)
+    const array = new this.GraffitiArray(
+      contexts, query? Query.compile(query) : ()=> true)
+    Object.defineProperty(array, 'events', { value: new EventTarget() })
+
+    ;(async ()=> {
+      for await (const object of this.objects(contexts, options)) {
+        const index = array.findIndex(o=> o.id == object.id)
+        if (Object.keys(object).length > 1) {
+          if (index < 0) {
+            array.push(object)
+          } else {
+            array[index] = object
+          }
+        } else if (index >= 0) {
+          array.splice(index, 1)
+        }
+        array.events.dispatchEvent(new Event("change"))
+      }
+    })()
+
+    return array
+  }
+
+  // A live OrderedList of the objects in the given contexts
+  // that have a Logoot position in options.property
+  // (by default "position"). Its array dispatches "change"
+  // events and stops updating when options.signal aborts.
+  orderedList(contexts, options={}) {
+    const property = options.property ?? 'position'
+    const array = this.array(contexts, {
+      ...options,
+      query: OrderedList.query(property, options.query)
+    })
+    const list = new OrderedList(()=> array, { property, me: ()=> this.me })
+    list.events = array.events
+    return list
+  }
+
+  // A live SharedText of the edits posted to a document,
+  // which can be any context such as an object's ID.
+  // Its events dispatch "change" and it stops updating
+  // when options.signal aborts.
+  sharedText(document, options={}) {
+    const array = this.array([document], {
+      ...options,
+      query: SharedText.query(document)
+    })
+    const text = new SharedText(()=> array, { document })
+    text.events = array.events
+    return text
+  }
+
+  // Queue an object (or a removal, { id }) for a query,
+  // only sending objects that match its filter
+  #dispatch(queryID, object) {
+    const state = this.queryMap[queryID]
+    if (!state) return
+
+    if (Object.keys(object).length > 1 && state.matches(object)) {
+      state.ids.add(object.id)
+    } else if (state.ids.delete(object.id)) {
+      // It was removed or no longer matches
+      object = { id: object.id }
+    } else {
+      return
+    }
+
+    state.queue.push(object)
+    this.eventTarget.dispatchEvent(new Event('#' + queryID))
+  }
+
+  // The subscription sent to the server for a context,
+  // which must include everything any of its local
+  // queries might want
+  #contextSubscription(context) {
+    const states = [...this.contextMap[context].queries]
+      .map(queryID=> this.queryMap[queryID])
+      .filter(state=> state)
+
+    const subscription = {}
+    const queries = states.map(state=> state.query)
+    if (queries.length && !queries.includes(null)) {
+      subscription.query = Query.or(...queries)
+    }
+    const sortBys = new Set(states.map(state=> state.sortBy))
+    if (states.length && states.every(state=> state.limit) && sortBys.size == 1) {
+      subscription.limit = Math.max(...states.map(state=> state.limit))
+      subscription.sortBy = [...sortBys][0]
+    }
+    return subscription
+  }
+
+  // Fetch a page of the objects in the given contexts,
+  // newest first. Pass the returned cursor as "before"
+  // to get the next page; it is null on the last page.
+  // Objects in subscribed contexts are also sent to
+  // the live objects() streams of those contexts.
+  async history(contexts, options={}) {
+    const { limit=20, before, sortBy='published', signal, timeout } = options
+    Pagination.validate(sortBy)
+    contexts = contexts.filter(context=> context!=null)
+
+    const msg = { history: contexts, limit, sortBy }
+    const query = Query.fromOptions(options)
+    if (query) msg.query = query
+    if (before) msg.before = before
+
+    let { objects, cursor } = await this.#request(msg, { signal, timeout })
+    objects = await Promise.all(objects.map(object=> this.#receive(object)))
+    return {
+      objects: objects.map(object=> this.#isPending(object.id)?
+        this.objectMap[object.id] ?? object : this.#updateCallback(object))
+        .filter(object=> object),
+      cursor
+    }
+  }
+
   async #subscribe(contexts, queryID) {
     // Look at what is already subscribed to
-    const subscribingContexts = []
+    let subscribingContexts = []
+    const resubscribingContexts = []
     for (const context of contexts) {
       if (context in this.contextMap) {
         // Increase the count
         this.contextMap[context].queries.add(queryID)
+
+        // Widen the server's subscription if necessary
+        if (this.contextMap[context].subscription !==
+            JSON.stringify(this.#contextSubscription(context))) {
+          resubscribingContexts.push(context)
+        }
       } else {
         // Create a new slot
         this.contextMap[context] = {
           ids: new Set(),
-          queries: new Set([queryID])
+          queries: new Set([queryID]),
+          resyncs: new Set(), // Set(id) per resync in progress
+          subscription: undefined, // JSON of what was sent to the server
+          cursor: undefined // where the server's reply left off, or null
         }
         subscribingContexts.push(context)
       }
     }
 
+    if (!subscribingContexts.length && !resubscribingContexts.length) {
+      return this.#reportCursor(queryID)
+    }
+
+    // Show cached objects and queued changes
+    // without waiting for the server
+    subscribingContexts = await this.#showLocal(subscribingContexts)
+
     // Try subscribing in the background
     // but don't raise an error since
     // the subscriptions will happen once connected
-    if (subscribingContexts.length)
-      try {
-        await this.#request({ subscribe: subscribingContexts })
-      } catch {}
+    try {
+      await this.#resync([...subscribingContexts, ...resubscribingContexts]
+        .filter(c=> c in this.contextMap))
+    } catch {}
+    this.#reportCursor(queryID)
+  }
+
+  // Tell a query where the server's limited subscriptions
+  // to its contexts left off, once they all have. If they
+  // differ the newest is given, so paging skips nothing.
+  #reportCursor(queryID) {
+    const state = this.queryMap[queryID]
+    if (!state?.onCursor) return
+    const cursors = state.contexts.map(c=> this.contextMap[c]?.cursor)
+    if (cursors.includes(undefined)) return
+    state.onCursor(Pagination.newest(cursors.filter(c=> c)))
+  }
+
+  // Show what we have stored for the contexts,
+  // returning those that are still subscribed
+  async #showLocal(contexts) {
+    await this.#authorized
+    const cached = await this.cache.get(contexts, this.me)
+    await this.outbox.ready
+    contexts = contexts.filter(c=> c in this.contextMap)
+    for (const object of cached) {
+      if (this.#isPending(object.id)) continue
+      this.#updateCallback(this.objectMap[object.id] ?? object)
+    }
+    this.#applyPending(contexts)
+    return contexts
+  }
+
+  // Subscribe to contexts we may already have
+  // objects for. The server sends every object
+  // in the contexts before it replies, so anything
+  // it doesn't send has been removed in the meantime
+  // (or no longer matches the context's query).
+  // Limited subscriptions reply with a cursor and
+  // objects older than it can't be checked, so
+  // they are kept.
+  async #resync(contexts) {
+    const staleMap = {} // context->Set(id)
+    const groups = {} // subscription JSON->[context]
+    for (const context of contexts) {
+      const slot = this.contextMap[context]
+      staleMap[context] = new Set(slot.ids)
+      slot.resyncs.add(staleMap[context])
+
+      slot.subscription = JSON.stringify(this.#contextSubscription(context))
+      groups[slot.subscription] = [...(groups[slot.subscription] ?? []), context]
+    }
+
+    try {
+      await Promise.all(Object.entries(groups).map(async ([subscription, contexts])=> {
+        const reply = await this.#request({
+          subscribe: contexts, ...JSON.parse(subscription) })
+        for (const context of contexts) {
+          const slot = this.contextMap[context]
+          if (slot?.subscription === subscription) slot.cursor = reply?.cursor ?? null
+        }
+        if (reply?.cursor) {
+          for (const context of contexts) {
+            for (const id of staleMap[context]) {
+              if (id in this.objectMap &&
+                  Pagination.after(this.objectMap[id], reply.cursor)) {
+                staleMap[context].delete(id)
+              }
+            }
+          }
+        }
+      }))
+    } finally {
+      for (const context of contexts) {
+        this.contextMap[context]?.resyncs.delete(staleMap[context])
+      }
+    }
+    new Set(contexts.flatMap(c=> [...(this.contextMap[c]?.queries ?? [])]))
+      .forEach(queryID=> this.#reportCursor(queryID))
+
+    const staleContexts = {} // id->[context]
+    for (const [context, stale] of Object.entries(staleMap)) {
+      for (const id of stale) {
+        staleContexts[id] = [...(staleContexts[id] ?? []), context]
+      }
+    }
+    for (const [id, contexts] of Object.entries(staleContexts)) {
+      if (id in this.objectMap && !this.#isPending(id)) {
+        this.#removeCallback(this.objectMap[id], contexts)
+      }
+    }
   }
 
   async #unsubscribe(contexts, queryID) {
     // Decrease the count of each context,
     // removing and marking if necessary
     const unsubscribingContexts = []
+    const resubscribingContexts = []
     for (const context of contexts) {
       this.contextMap[context].queries.delete(queryID)
     }
@@ -348,13 +1445,18 @@ export default class {
 
         const keys = new Set(Object.keys(this.contextMap))
         this.contextMap[context].ids.forEach(id=> {
+          if (!(id in this.objectMap)) return
           // Delete objects not attached to any subscription
-          const keysLeft = [id, ...this.objectMap[id].context].reduce(
+          const keysLeft = Audience.contexts(this.objectMap[id]).reduce(
             (a, c)=> a + (c!=context&&keys.has(c)?1:0), 0)
           if (!keysLeft) { delete this.objectMap[id] }
         })
 
         delete this.contextMap[context]
+      } else if (this.contextMap[context].subscription !==
+                 JSON.stringify(this.#contextSubscription(context))) {
+        // Narrow the server's subscription
+        resubscribingContexts.push(context)
       }
     }
 
@@ -363,20 +1465,33 @@ export default class {
       try {
         await this.#request({ unsubscribe: unsubscribingContexts })
       } catch {}
+
+    if (resubscribingContexts.length)
+      try {
+        await this.#resync(resubscribingContexts)
+      } catch {}
   }
 
   async #onOpen() {
-    this.open = true
+    this.#connecting = false
+    if (this.state == 'closed') return
+    this.#reconnectBackoff.reset()
+    this.#resendBackoff.reset()
+    this.#setState('open')
 
-    // Clear data
-    for (let context in this.contextMap) {
-      this.contextMap[context].ids = new Set()
-    }
-    for (let id in this.objectMap) delete this.objectMap[id]
-
-    // Resubscribe
+    // Replay queued changes in order and
+    // reconcile our objects with the server's
+    await this.outbox.ready
+    this.#flush()
+    this.encryption?.publish().catch(e=> console.error(e))
+    if (this.signing || this.encryption) this.signatures.publish().catch(e=> console.error(e))
     const contexts = Object.keys(this.contextMap)
-    if (contexts.length) await this.#request({ subscribe: contexts })
+    try {
+      if (contexts.length) await this.#resync(contexts)
+    } catch {
+      // Lost the connection again
+      return
+    }
 
     console.log("connected to the graffiti socket")
     this.events.dispatchEvent(new Event("connected"))
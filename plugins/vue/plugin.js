@@ -1,4 +1,4 @@
-import Graffiti from '../../graffiti.js'
+import Graffiti, { Query, OrderedList, SharedText, Social } from '../../graffiti.js'
 
 const REFRESH_RATE = 100 // milliseconds
 
@@ -15,13 +15,13 @@ export default function GraffitiPlugin(Vue, options={}) {
       const gf = glob.$gf
 
       // Add static functions and constants
-      for (const key of ['toggleLogIn', 'post', 'remove', 'objects', 'myContexts']) {
+      for (const key of ['toggleLogIn', 'logIn', 'logOut', 'switchAccount', 'post', 'remove', 'objects', 'myContexts', 'status', 'retry', 'discard', 'transaction', 'undoManager', 'inbox', 'addressedToMe', 'encryptContext', 'close', 'history', 'versions', 'array', 'orderedList', 'sharedText']) {
         Object.defineProperty(gf, key, {
           enumerable: true,
           value: graffiti[key].bind(graffiti)
         })
       }
-      for (const key of ['events', 'media']) {
+      for (const key of ['events', 'media', 'social', 'schemas', 'GraffitiArray']) {
         Object.defineProperty(gf, key, {
           enumerable: true,
           get: ()=> graffiti[key]
@@ -31,20 +31,33 @@ export default function GraffitiPlugin(Vue, options={}) {
       // These variables are reactive because
       // $gf is shallow reactive
       gf.me = ''
+      gf.accounts = [] // the actors you are logged in as
       gf.connected = false
+      gf.state = graffiti.state
+      gf.events.addEventListener('statechange',
+        e=> gf.state = e.state
+      )
       gf.events.addEventListener('connected',
         ()=> {
           gf.me = graffiti.me
+          gf.accounts = graffiti.accounts()
           gf.connected = true
         }
       )
+      gf.events.addEventListener('authchange',
+        e=> {
+          gf.me = e.me ?? ''
+          gf.accounts = graffiti.accounts()
+        }
+      )
       gf.events.addEventListener('disconnected',
         ()=> gf.connected = false
       )
 
-      // A composable that returns a collection of objects
+      // A composable that returns a collection of objects,
+      // optionally filtered with a query and/or schema
       Object.defineProperty(gf, 'useObjects', {
-        value: context=> {
+        value: (context, options={})=> {
           const objectMap = Vue.reactive({})
 
           // Run the loop in the background
@@ -52,6 +65,8 @@ export default function GraffitiPlugin(Vue, options={}) {
           let unwatchers = new Set()
           let controller
           let timeoutID = null
+          const currentContexts = Vue.shallowRef([])
+          let cursor // undefined before the first page, null after the last
           ;(async ()=> {
             while (running) {
               controller = new AbortController();
@@ -62,6 +77,7 @@ export default function GraffitiPlugin(Vue, options={}) {
                   const unwatch = Vue.watch(watchVar, ()=> {
                     // Clear the object map and restart the loop
                     Object.keys(objectMap).forEach(k=> delete objectMap[k])
+                    cursor = undefined
                     controller.abort()
                     unwatch()
                     unwatchers.delete(unwatch)
@@ -81,7 +97,10 @@ export default function GraffitiPlugin(Vue, options={}) {
               // Unwrap more and stream changes into batches
               const batch = {}
               const contextUnwrappedMore = contextUnwrapped.map(c=>Vue.isRef(c)?c.value:c)
-              for await (const object of graffiti.objects(contextUnwrappedMore, signal)) {
+              currentContexts.value = contextUnwrappedMore
+              // Page older objects in from where the subscription left off
+              const onCursor = c=> { if (cursor === undefined) cursor = c }
+              for await (const object of graffiti.objects(contextUnwrappedMore, { ...options, signal, onCursor })) {
                 if (Object.keys(object).length > 1) {
                   batch[object.id] = object
                 } else if (object.id in objectMap) {
@@ -113,9 +132,210 @@ export default function GraffitiPlugin(Vue, options={}) {
             clearTimeout(timeoutID)
           })
 
-          // Strip IDs
-          const objects = Vue.computed(()=> Object.values(objectMap))
-          return { objects }
+          // Page older objects into the collection,
+          // resolving to whether there are more
+          const loadOlder = async (limit=options.limit ?? 20)=> {
+            if (cursor === null) return false
+            const page = await graffiti.history(currentContexts.value,
+              { ...options, limit, before: cursor })
+            cursor = page.cursor
+            return cursor !== null
+          }
+
+          // Strip IDs and wrap in a GraffitiArray
+          // bound to the contexts and filters
+          const query = Query.fromOptions(options)
+          const filterFunction = query? Query.compile(query) : ()=> true
+          const objects = Vue.computed(()=> new graffiti.GraffitiArray(
+            currentContexts.value, filterFunction, ...Object.values(objectMap)))
+          return { objects, loadOlder }
+        }
+      })
+
+      // A composable that returns objects sorted by their
+      // Logoot positions, with helpers to insert and move them
+      Object.defineProperty(gf, 'useOrderedList', {
+        value: (context, options={})=> {
+          const property = options.property ?? 'position'
+          const { objects, loadOlder } = gf.useObjects(context, {
+            ...options,
+            query: OrderedList.query(property, options.query)
+          })
+          const list = new OrderedList(()=> objects.value,
+            { property, me: ()=> graffiti.me })
+          const items = Vue.computed(()=> list.items)
+
+          const helpers = {}
+          for (const key of ['insert', 'insertBefore', 'insertAfter', 'push',
+                             'unshift', 'move', 'moveBefore', 'moveAfter', 'remove']) {
+            helpers[key] = list[key].bind(list)
+          }
+          return { items, loadOlder, ...helpers }
+        }
+      })
+
+      // A composable that returns the live string of a
+      // collaboratively edited document
+      Object.defineProperty(gf, 'useSharedText', {
+        value: (document, options={})=> {
+          const { objects } = gf.useObjects([document], {
+            ...options,
+            query: SharedText.query(document)
+          })
+          const shared = new SharedText(()=> objects.value, { document })
+          const text = Vue.computed(()=> shared.text)
+
+          const helpers = {}
+          for (const key of ['insert', 'delete', 'anchorAt', 'indexOf']) {
+            helpers[key] = shared[key].bind(shared)
+          }
+          return { text, ...helpers }
+        }
+      })
+
+      // A composable for undoing and redoing your
+      // changes, with reactive canUndo and canRedo
+      Object.defineProperty(gf, 'useUndo', {
+        value: (options)=> {
+          const manager = graffiti.undoManager(options)
+          const canUndo = Vue.ref(false)
+          const canRedo = Vue.ref(false)
+          manager.events.addEventListener("change", ()=> {
+            canUndo.value = manager.canUndo
+            canRedo.value = manager.canRedo
+          })
+          Vue.onScopeDispose(()=> manager.close())
+          return {
+            canUndo, canRedo,
+            undo: manager.undo.bind(manager),
+            redo: manager.redo.bind(manager),
+            clear: manager.clear.bind(manager)
+          }
+        }
+      })
+
+      // A composable that fetches the media a reference or
+      // descriptor (or a ref to one) points to, with its status
+      // ('idle', 'loading', 'loaded' or 'error') and progress.
+      // Changing the reference cancels the last fetch
+      // and releases the last URL.
+      Object.defineProperty(gf, 'useMedia', {
+        value: reference=> {
+          const url = Vue.ref(null)
+          const status = Vue.ref('idle')
+          const progress = Vue.ref(null)
+          const error = Vue.ref(null)
+
+          let controller
+          let loaded = null // the reference whose URL we hold
+          const release = ()=> {
+            if (loaded) graffiti.media.releaseURL(loaded)
+            loaded = null
+          }
+          const load = async uri=> {
+            controller?.abort()
+            release()
+            url.value = progress.value = error.value = null
+            if (!uri) {
+              status.value = 'idle'
+              return
+            }
+            controller = new AbortController()
+            const signal = controller.signal
+            status.value = 'loading'
+            try {
+              const result = await graffiti.media.fetchURL(uri, {
+                signal, onProgress: p=> progress.value = p })
+              if (signal.aborted) return graffiti.media.releaseURL(uri)
+              loaded = uri
+              url.value = result
+              status.value = 'loaded'
+            } catch (e) {
+              if (signal.aborted) return
+              error.value = e
+              status.value = 'error'
+            }
+          }
+
+          const unwatch = Vue.watch(()=> Vue.unref(reference), load, { immediate: true })
+          Vue.onScopeDispose(()=> {
+            unwatch()
+            controller?.abort()
+            release()
+          })
+          return { url, status, progress, error }
+        }
+      })
+
+      // Composables for replies, reactions and follows
+      // (see src/social.js). Each takes an object or an ID.
+
+      // The replies to root as a tree of { id, object, replies }
+      Object.defineProperty(gf, 'useThread', {
+        value: (root, options={})=> {
+          const id = Social.idOf(root)
+          const { objects, loadOlder } = gf.useObjects([id], {
+            ...options,
+            query: Social.threadQuery(id, options.query)
+          })
+          const tree = Vue.computed(()=> Social.tree(root, objects.value))
+          return {
+            tree, loadOlder,
+            reply: (parent, object)=> graffiti.social.reply(parent, object)
+          }
+        }
+      })
+
+      // The reactions to target, as content->{ count, actors, mine }
+      Object.defineProperty(gf, 'useReactions', {
+        value: (target, options={})=> {
+          const id = Social.idOf(target)
+          const { objects } = gf.useObjects([id], {
+            ...options,
+            query: Social.reactionQuery(id, options.query)
+          })
+          const tally = Vue.computed(()=> Social.tally(objects.value, gf.me))
+          return {
+            tally,
+            react: (content, object)=> graffiti.social.react(id, content, object),
+            unreact: content=> graffiti.social.unreact(id, content),
+            toggle: content=> tally.value[content]?.mine?
+              graffiti.social.unreact(id, content) : graffiti.social.react(id, content)
+          }
+        }
+      })
+
+      // The actors following target and whether you are one
+      Object.defineProperty(gf, 'useFollowers', {
+        value: (target, options={})=> {
+          const id = Social.idOf(target)
+          const { objects } = gf.useObjects([id], {
+            ...options,
+            query: Social.followerQuery(id, options.query)
+          })
+          const followers = Vue.computed(()=> Social.followers(objects.value))
+          const following = Vue.computed(()=> followers.value.includes(gf.me))
+          return {
+            followers, following,
+            follow: object=> graffiti.social.follow(id, object),
+            unfollow: ()=> graffiti.social.unfollow(id)
+          }
+        }
+      })
+
+      // What an actor (or a ref to one) is following,
+      // by default whoever is logged in
+      Object.defineProperty(gf, 'useFollowing', {
+        value: (actor, options={})=> {
+          const current = Vue.computed(()=> Vue.unref(actor) ?? gf.me)
+          // Nothing to follow while logged out
+          const { objects } = gf.useObjects(Vue.computed(()=> current.value? [current.value] : []), {
+            ...options,
+            query: Social.followingQuery(undefined, options.query)
+          })
+          const following = Vue.computed(()=> Social.following(
+            objects.value.filter(object=> object.actor == current.value)))
+          return { following }
         }
       })
 
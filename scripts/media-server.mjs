@@ -0,0 +1,89 @@
+// A stand-in for a content addressed media store,
+// for developing against HTTPMedia locally:
+//
+//   node scripts/media-server.mjs [port] [directory]
+//
+// PUT /{sha256} stores the body if it matches the hash
+// and GET /{sha256} returns it. Files are kept in the
+// directory if one is given, otherwise in memory.
+import http from 'node:http'
+import { createHash } from 'node:crypto'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+const port = Number(process.argv[2] ?? 8787)
+const directory = process.argv[3]
+const maxBytes = 100 * 1024 * 1024
+
+const memory = new Map() // hash->{ type, body }
+
+async function load(hash) {
+  if (!directory) return memory.get(hash)
+  try {
+    return {
+      type: await fs.readFile(path.join(directory, hash + '.type'), 'utf8'),
+      body: await fs.readFile(path.join(directory, hash))
+    }
+  } catch {
+    return undefined
+  }
+}
+
+async function save(hash, file) {
+  if (!directory) return memory.set(hash, file)
+  await fs.mkdir(directory, { recursive: true })
+  await fs.writeFile(path.join(directory, hash), file.body)
+  await fs.writeFile(path.join(directory, hash + '.type'), file.type)
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject)=> {
+    const chunks = []
+    let size = 0
+    request.on('data', chunk=> {
+      size += chunk.length
+      if (size > maxBytes) {
+        reject(413)
+        request.destroy()
+      } else {
+        chunks.push(chunk)
+      }
+    })
+    request.on('end', ()=> resolve(Buffer.concat(chunks)))
+    request.on('error', reject)
+  })
+}
+
+http.createServer(async (request, response)=> {
+  response.setHeader('Access-Control-Allow-Origin', '*')
+  response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS')
+  response.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+  const hash = request.url.slice(1)
+
+  try {
+    if (request.method == 'OPTIONS') {
+      response.writeHead(204).end()
+    } else if (!/^[0-9a-f]{64}$/.test(hash)) {
+      response.writeHead(404).end()
+    } else if (request.method == 'GET') {
+      const file = await load(hash)
+      if (!file) return response.writeHead(404).end()
+      response.writeHead(200, {
+        'Content-Type': file.type,
+        'Content-Length': file.body.length,
+        'Cache-Control': 'public, max-age=31536000, immutable'
+      }).end(file.body)
+    } else if (request.method == 'PUT') {
+      const body = await readBody(request)
+      if (createHash('sha256').update(body).digest('hex') != hash) {
+        return response.writeHead(400).end("The body does not match its hash")
+      }
+      await save(hash, { type: request.headers['content-type'] ?? 'application/octet-stream', body })
+      response.writeHead(201).end()
+    } else {
+      response.writeHead(405).end()
+    }
+  } catch (e) {
+    response.writeHead(typeof e == 'number'? e : 500).end()
+  }
+}).listen(port, ()=> console.log(`media store listening on http://localhost:${port}`))
@@ -1,5 +1,5 @@
-import Ajv from "https://cdn.jsdelivr.net/npm/ajv@8.12.0/+esm"
-const ajv = new Ajv()
+import Query from './query.js'
+import { ValidationError } from './errors.js'
 
 // Extend the array class to expose update
 // functionality, plus provide some
@@ -9,11 +9,15 @@ export default function(me, post, remove) {
   return class GraffitiArray extends Array {
 
     constructor(context, filterFunction, ...elems) {
-      super(...elems)
+      super()
+      this.push(...elems)
       this.context = context
       this.filterFunction = filterFunction
     }
 
+    // Methods like map and slice return plain arrays
+    static get [Symbol.species]() { return Array }
+
     filter(f) {
       return new GraffitiArray(
         this.context,
@@ -28,35 +32,34 @@ export default function(me, post, remove) {
       object.updated = new Date().toISOString()
       object.published = object.updated
 
-      if (!this.filterFunction(object)) {
-        throw "The object does not match the arrays filters"
-      }
-
       if ('context' in object) {
         // MAKE SURE object.context intersects this.context
         if (!this.context.some(c=>object.context.includes(c))) {
-          throw "The object's context does not match the array's context"
+          throw new ValidationError("The object's context does not match the array's context")
         }
       } else {
-        object.context = this.context
+        object.context = [...this.context]
+      }
+
+      if (!this.filterFunction(object)) {
+        throw new ValidationError("The object does not match the arrays filters")
       }
 
       return post(object)
     }
 
-    //remove(...objects) {
-      //for (const object of objects) {
-        //if (!this.includes(object)) {
-          //throw "The object can't be removed since it is not in the array"
-        //} else {
-          //remove(object)
-        //}
-      //}
-    //}
-    
+    remove(...objects) {
+      // Check them all before removing any
+      for (const object of objects) {
+        if (!this.some(o=> o.id == object.id)) {
+          throw new ValidationError("The object can't be removed since it is not in the array")
+        }
+      }
+      remove(...objects)
+    }
+
     query(schema) {
-      schema.type = 'object'
-      const validator = ajv.compile(schema)
+      const validator = Query.validator(schema)
       return this.filter(o=> validator(o))
     }
 
@@ -76,9 +79,9 @@ export default function(me, post, remove) {
       return [...new Set(this.map(o=> o.actor))]
     }
 
-    //removeMine() {
-      //this.mine.map(o=> remove(o))
-    //}
+    removeMine() {
+      remove(...this.mine)
+    }
 
     sortBy(propertyPath) {
 
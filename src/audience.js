@@ -0,0 +1,59 @@
+// Private objects, addressed with ActivityStreams-style
+// audiences. An object with bto and/or bcc, each an
+// array of actor URIs, can only be seen by its own actor
+// and those recipients. bcc is only shown in full to the
+// object's actor; each bcc recipient sees just themselves.
+// Objects addressed to an actor also appear in that
+// actor's own context, wherever else they were posted.
+export default {
+
+  fields: ['bto', 'bcc'],
+
+  // Why an object's audience is invalid, or null if it isn't
+  validate(object) {
+    for (const field of this.fields) {
+      if (!(field in object)) continue
+      if (!Array.isArray(object[field])) return `${field} must be an array`
+      if (!object[field].every(r=> typeof r == 'string' && r.startsWith('graffitiactor://'))) {
+        return `${field} must only contain actor URIs`
+      }
+    }
+    return null
+  },
+
+  isPrivate(object) {
+    return this.fields.some(field=> Array.isArray(object[field]))
+  },
+
+  recipients(object) {
+    return this.fields.map(field=> Array.isArray(object[field])? object[field] : []).flat()
+  },
+
+  canSee(actor, object) {
+    return !this.isPrivate(object)
+      || object.actor == actor
+      || this.recipients(object).includes(actor)
+  },
+
+  // The contexts an object can be found in
+  contexts(object) {
+    return [...new Set([...object.context, object.id, ...this.recipients(object)])]
+  },
+
+  // The object as it should be delivered to an actor
+  view(object, actor) {
+    if (!Array.isArray(object.bcc) || object.actor == actor) return object
+    const view = { ...object }
+    if (object.bcc.includes(actor)) {
+      view.bcc = [actor]
+    } else {
+      delete view.bcc
+    }
+    return view
+  },
+
+  // Matches objects addressed to an actor
+  query(actor) {
+    return { $or: this.fields.map(field=> ({ [field]: actor })) }
+  }
+}
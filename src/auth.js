@@ -1,125 +1,369 @@
+import { toBase64 } from './base64.js'
+import { AuthorizationError } from './errors.js'
+
+// Logging in with OAuth 2 authorization codes and PKCE.
+// The page either navigates to the login page and back
+// or opens it in a popup, which sends the code back to
+// the opener so that the page keeps its state.
+//
+// Tokens are kept in localStorage under keys prefixed
+// with a namespace ('graffiti' by default), so that
+// clients with different namespaces can be logged in
+// side by side. Each namespace has an active account
+// and remembers the others that have logged in:
+//
+//   graffitiToken, graffitiActor, graffitiRefreshToken, graffitiTokenExpires
+//   graffitiAccounts: { actor: { token, refreshToken, expires } }
+//   graffitiKeys:name:actor -> a JWK key pair or pinned key
 export default {
 
-  async logIn(graffitiURL) {
-    // Generate a random client secret and state
-    const clientSecret = crypto.randomUUID()
-    const state = crypto.randomUUID()
+  popupName: 'graffitiLogin',
 
-    // The client ID is the secret's hex hash
-    const clientID = await this.sha256(clientSecret)
+  storage(namespace='graffiti') {
+    return {
+      get: name=> window.localStorage.getItem(namespace + name),
+      set: (name, value)=> window.localStorage.setItem(namespace + name, value),
+      remove: name=> window.localStorage.removeItem(namespace + name)
+    }
+  },
 
-    // Store the client secret as a local variable
-    window.localStorage.setItem('graffitiClientSecret', clientSecret)
-    window.localStorage.setItem('graffitiClientID', clientID)
-    window.localStorage.setItem('graffitiAuthState', state)
+  async logIn(graffitiURL, { popup=false, namespace }={}) {
+    // A verifier whose hash is sent now and which is
+    // sent itself to claim the token, plus a state to
+    // match the redirect and a nonce to match the token
+    const verifier = this.randomString()
+    const challenge = base64url(await crypto.subtle.digest(
+      'SHA-256', new TextEncoder().encode(verifier)))
+    const state = this.randomString()
+    const nonce = this.randomString()
+    const redirectURI = window.location.href
 
-    // Redirect to the login window
     const loginURL = this.authURL(graffitiURL)
-    loginURL.searchParams.set('client_id', clientID)
-    loginURL.searchParams.set('redirect_uri', window.location.href)
+    loginURL.searchParams.set('response_type', 'code')
+    loginURL.searchParams.set('client_id', this.clientID())
+    loginURL.searchParams.set('redirect_uri', redirectURI)
     loginURL.searchParams.set('state', state)
+    loginURL.searchParams.set('nonce', nonce)
+    loginURL.searchParams.set('code_challenge', challenge)
+    loginURL.searchParams.set('code_challenge_method', 'S256')
+
+    const login = { verifier, state, nonce, redirectURI, namespace }
+    if (popup) return await this.popupLogIn(graffitiURL, loginURL, login)
+
+    // Store them to check after the redirect
+    this.storage(namespace).set('Login', JSON.stringify(login))
     window.location.href = loginURL
   },
 
-  async connect(graffitiURL) {
+  // Resolves to the new { myActor, token, expires }
+  popupLogIn(graffitiURL, loginURL, login) {
+    return new Promise((resolve, reject)=> {
+      const popup = window.open(loginURL, this.popupName, 'popup,width=480,height=640')
+      if (!popup) return reject(new Error("The login popup was blocked"))
+
+      const settle = async (error, code)=> {
+        window.removeEventListener('message', onMessage)
+        clearInterval(closedTimer)
+        if (error) return reject(error)
+        try {
+          resolve(await this.exchangeCode(graffitiURL, code, login))
+        } catch (e) {
+          reject(e)
+        }
+      }
+      const onMessage = ({ origin, source, data })=> {
+        if (origin != window.location.origin || source != popup
+            || data?.type != this.popupName) return
+        if (data.error) {
+          settle(new Error(`The login failed: ${data.error}`))
+        } else if (data.state != login.state) {
+          settle(new Error("The state returned to the login popup does not match the state sent"))
+        } else {
+          settle(null, data.code)
+        }
+      }
+      const closedTimer = setInterval(()=> popup.closed &&
+        settle(new Error("The login popup was closed")), 500)
+      window.addEventListener('message', onMessage)
+    })
+  },
+
+  // Resolves to { myActor, token, expires }, plus a
+  // loginError if we were redirected back from a login
+  // that failed, in which case we carry on as before
+  async connect(graffitiURL, namespace) {
+    const storage = this.storage(namespace)
 
     // Check to see if we are already logged in
-    let token = window.localStorage.getItem('graffitiToken')
-    let myActor  = window.localStorage.getItem('graffitiActor')
+    let token = storage.get('Token')
+    let myActor  = storage.get('Actor')
+
+    // Refresh the token if it has expired. If that
+    // fails for another reason than the refresh token
+    // being refused, such as being offline, keep the
+    // token for the client to refresh later.
+    if (token && myActor && this.expired(namespace)) {
+      try {
+        return await this.refresh(graffitiURL, namespace)
+      } catch (e) {
+        console.error(e)
+        if (e instanceof AuthorizationError) {
+          this.logOut(namespace)
+          token = myActor = null
+        }
+      }
+    }
+
+    // Check to see if we are redirecting back
+    let loginError = null
+    const url = new URL(window.location)
+    if (url.searchParams.has('code') || url.searchParams.has('error')) {
+
+      // Extract the code and state from the URL and strip it from the history
+      const code = url.searchParams.get('code')
+      const state = url.searchParams.get('state')
+      const error = url.searchParams.get('error_description') ?? url.searchParams.get('error')
+      for (const param of ['code', 'state', 'error', 'error_description']) {
+        url.searchParams.delete(param)
+      }
+      window.history.replaceState({}, '', url)
+
+      // In a login popup, hand the code to the opener
+      if (window.opener && window.name == this.popupName) {
+        window.opener.postMessage(
+          { type: this.popupName, code, state, error }, window.location.origin)
+        window.close()
+        return { myActor: null, token: null, expires: null }
+      }
+
+      // Get stored variables and remove them
+      const login = JSON.parse(storage.get('Login') ?? 'null')
+      storage.remove('Login')
+
+      try {
+        if (error) {
+          throw new Error(`The login failed: ${error}`)
+        }
+
+        // Make sure state has been preserved
+        if (!login || state != login.state) {
+          throw new Error("The state in local storage does not match the state sent by the server")
+        }
+
+        // Logging in while logged in adds an account
+        return await this.exchangeCode(graffitiURL, code, login)
+      } catch (e) {
+        loginError = e
+      }
+    }
 
     if (!token || !myActor) {
       // Remove them both in case one exists
       // and the other does not
       token = myActor = null
+    }
 
-      // Check to see if we are redirecting back
-      const url = new URL(window.location)
-      if (url.searchParams.has('code')) {
-
-        // Extract the code and state from the URL and strip it from the history
-        const code = url.searchParams.get('code')
-        const state = url.searchParams.get('state')
-        url.searchParams.delete('code')
-        url.searchParams.delete('state')
-        window.history.replaceState({}, '', url)
-
-        // Get stored variables and remove them
-        const clientSecret = window.localStorage.getItem('graffitiClientSecret')
-        const clientID     = window.localStorage.getItem('graffitiClientID')
-        const storedState  = window.localStorage.getItem('graffitiAuthState')
-        window.localStorage.removeItem('graffitiClientSecret')
-        window.localStorage.removeItem('graffitiClientID')
-        window.localStorage.removeItem('graffitiAuthState')
+    const authParams = { myActor, token, expires: this.expires(namespace) }
+    if (loginError) authParams.loginError = loginError
+    return authParams
+  },
 
-        // Make sure state has been preserved
-        if (state != storedState) {
-          throw new Error("The state in local storage does not match the state sent by the server")
-        }
+  async exchangeCode(graffitiURL, code, { verifier, nonce, redirectURI, namespace }) {
+    // The stored nonce and verifier are only good
+    // for one attempt, so forget them either way
+    this.storage(namespace).remove('Login')
 
-        // Construct the body of the POST
-        let form = new FormData()
-        form.append('client_id', clientID)
-        form.append('client_secret', clientSecret)
-        form.append('code', code)
-
-        // Ask to exchange the code for a token
-        const tokenURL = this.authURL(graffitiURL)
-        tokenURL.pathname = '/token'
-        const response = await fetch(tokenURL, {
-            method: 'post',
-            body: form
-        })
-
-        // Make sure the response is OK
-        if (!response.ok) {
-          let reason = response.status + ": "
-          try {
-            reason += (await response.json()).detail
-          } catch (e) {
-            reason += response.statusText
-          }
-
-          throw new Error(`The authorization code could not be exchanged for a token.\n\n${reason}`)
-        }
+    // Construct the body of the POST
+    let form = new FormData()
+    form.append('grant_type', 'authorization_code')
+    form.append('client_id', this.clientID())
+    form.append('redirect_uri', redirectURI)
+    form.append('code', code)
+    form.append('code_verifier', verifier)
 
-        // Parse out the token
-        const data = await response.json()
-        token = data.access_token
-        myActor = data.actor
+    // Ask to exchange the code for a token
+    const tokenURL = this.authURL(graffitiURL)
+    tokenURL.pathname = '/token'
+    const response = await fetch(tokenURL, {
+        method: 'post',
+        body: form
+    })
 
-        // And make sure that the token is valid
-        if (!token || !myActor) {
-          throw new Error(`The authorization token could not be parsed from the response.\n\n${data}`)
-        }
+    // Make sure the response is OK
+    if (!response.ok) {
+      const reason = await this.failureReason(response)
+      throw new Error(`The authorization code could not be exchanged for a token.\n\n${reason}`)
+    }
 
-        // Store the token and actor URL
-        window.localStorage.setItem('graffitiToken', token)
-        window.localStorage.setItem('graffitiActor', myActor)
-      }
+    // Parse out the token
+    const data = await response.json()
+    const token = data.access_token
+    const myActor = data.actor
+
+    // And make sure that the token is valid
+    if (!token || !myActor) {
+      throw new Error(`The authorization token could not be parsed from the response.\n\n${data}`)
     }
+    if (!data.nonce || data.nonce != nonce) {
+      throw new Error("The nonce in the token response does not match the nonce sent")
+    }
+
+    // Store the token and actor URL
+    this.storeToken(data, myActor, namespace)
+    return { myActor, token, expires: this.expires(namespace) }
+  },
 
-    return { myActor, token }
+  // Apps are identified by their origin
+  clientID() {
+    return window.location.origin
+  },
+
+  randomString() {
+    return base64url(crypto.getRandomValues(new Uint8Array(32)))
+  },
+
+  // Exchange the refresh token for a new token. Throws
+  // an AuthorizationError if the refresh token is
+  // refused, and other errors if it could be retried.
+  async refresh(graffitiURL, namespace) {
+    const storage = this.storage(namespace)
+    const refreshToken = storage.get('RefreshToken')
+    const myActor = storage.get('Actor')
+    if (!refreshToken || !myActor) {
+      throw new AuthorizationError("The token has expired and can't be refreshed")
+    }
+
+    let form = new FormData()
+    form.append('grant_type', 'refresh_token')
+    form.append('refresh_token', refreshToken)
+
+    const tokenURL = this.authURL(graffitiURL)
+    tokenURL.pathname = '/token'
+    const response = await fetch(tokenURL, {
+        method: 'post',
+        body: form
+    })
+    if (!response.ok) {
+      const refused = response.status == 401 ||
+        (await response.clone().json().catch(()=> null))?.error == 'invalid_grant'
+      const reason = await this.failureReason(response)
+      const message = `The token could not be refreshed.\n\n${reason}`
+      throw refused? new AuthorizationError(message) : new Error(message)
+    }
+
+    const data = await response.json()
+    if (!data.access_token) {
+      throw new Error(`The refreshed token could not be parsed from the response.\n\n${data}`)
+    }
+    this.storeToken(data, myActor, namespace)
+    return { myActor, token: data.access_token, expires: this.expires(namespace) }
+  },
+
+  // Store a response from the token endpoint, which
+  // may include a refresh token and a lifetime in seconds,
+  // as the active account
+  storeToken(data, myActor, namespace) {
+    const account = {
+      token: data.access_token,
+      refreshToken: data.refresh_token ?? this.savedAccounts(namespace)[myActor]?.refreshToken ?? null,
+      expires: data.expires_in? Date.now() + data.expires_in * 1000 : null
+    }
+    const accounts = this.savedAccounts(namespace)
+    accounts[myActor] = account
+    this.storage(namespace).set('Accounts', JSON.stringify(accounts))
+    this.activate(myActor, account, namespace)
+  },
+
+  activate(myActor, { token, refreshToken, expires }, namespace) {
+    const storage = this.storage(namespace)
+    storage.set('Token', token)
+    storage.set('Actor', myActor)
+    refreshToken? storage.set('RefreshToken', refreshToken) : storage.remove('RefreshToken')
+    expires? storage.set('TokenExpires', String(expires)) : storage.remove('TokenExpires')
+  },
+
+  savedAccounts(namespace) {
+    return JSON.parse(this.storage(namespace).get('Accounts') ?? '{}')
+  },
 
+  // The actors logged in to in this namespace
+  accounts(namespace) {
+    const active = this.storage(namespace).get('Actor')
+    return [...new Set([
+      ...(active? [active] : []),
+      ...Object.keys(this.savedAccounts(namespace))
+    ])]
   },
 
-  logOut() {
-    window.localStorage.removeItem('graffitiToken')
-    window.localStorage.removeItem('graffitiActor')
-    window.location.reload()
+  // Make another logged in actor the active one
+  switchAccount(actor, namespace) {
+    const account = this.savedAccounts(namespace)[actor]
+    if (!account) throw new Error(`Not logged in as ${actor}`)
+    this.activate(actor, account, namespace)
+  },
+
+  // When the token expires in milliseconds since
+  // the epoch, or null if it doesn't
+  expires(namespace) {
+    const expires = this.storage(namespace).get('TokenExpires')
+    return expires? Number(expires) : null
+  },
+
+  expired(namespace, margin=0) {
+    const expires = this.expires(namespace)
+    return expires !== null && Date.now() + margin >= expires
+  },
+
+  async failureReason(response) {
+    let reason = response.status + ": "
+    try {
+      reason += (await response.json()).detail
+    } catch (e) {
+      reason += response.statusText
+    }
+    return reason
+  },
+
+  // Forget the active account's token. The page
+  // is left as it is for the app to update
+  logOut(namespace) {
+    const storage = this.storage(namespace)
+    const accounts = this.savedAccounts(namespace)
+    delete accounts[storage.get('Actor')]
+    storage.set('Accounts', JSON.stringify(accounts))
+    for (const name of ['Token', 'Actor', 'RefreshToken', 'TokenExpires']) {
+      storage.remove(name)
+    }
+  },
+
+  // Key pairs are kept as JWKs next to the token,
+  // or in memory where there is no localStorage
+  memoryKeys: new Map(),
+
+  loadKeys(name, actor, namespace='graffiti') {
+    const key = `${namespace}Keys:${name}:${actor}`
+    const stored = globalThis.localStorage?
+      window.localStorage.getItem(key) : this.memoryKeys.get(key)
+    return stored? JSON.parse(stored) : null
+  },
+
+  storeKeys(name, actor, keys, namespace='graffiti') {
+    const key = `${namespace}Keys:${name}:${actor}`
+    if (globalThis.localStorage) {
+      window.localStorage.setItem(key, JSON.stringify(keys))
+    } else {
+      this.memoryKeys.set(key, JSON.stringify(keys))
+    }
   },
 
   authURL(graffitiURL) {
     const url = new URL(graffitiURL)
     url.host = "auth." + url.host
     return url
-  },
-
-  async sha256(input) {
-    const encoder = new TextEncoder()
-    const inputBytes = encoder.encode(input)
-    const outputBuffer = await crypto.subtle.digest('SHA-256', inputBytes)
-    const outputArray = Array.from(new Uint8Array(outputBuffer))
-    return outputArray.map(b => b.toString(16).padStart(2, '0')).join('')
   }
 
 }
+
+function base64url(buffer) {
+  return toBase64(buffer).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
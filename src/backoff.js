@@ -0,0 +1,29 @@
+// Exponential backoff with jitter, so that clients
+// don't all retry at the same moment. Options are
+// those of the client's reconnect option:
+// { delay, maxDelay, factor, jitter, maxAttempts, hiddenFactor }
+export default class Backoff {
+
+  constructor(options) {
+    this.options = options
+    this.attempts = 0
+  }
+
+  get exhausted() {
+    return this.attempts >= this.options.maxAttempts
+  }
+
+  // Milliseconds to wait before the next attempt,
+  // longer if the retry can wait (say the tab is hidden)
+  next({ slow=false }={}) {
+    const { delay, maxDelay, factor, jitter, hiddenFactor } = this.options
+    let wait = Math.min(maxDelay, delay * factor ** this.attempts)
+    if (slow) wait = Math.min(maxDelay, wait * hiddenFactor)
+    this.attempts++
+    return wait * (1 - jitter * Math.random())
+  }
+
+  reset() {
+    this.attempts = 0
+  }
+}
@@ -0,0 +1,11 @@
+// Convert binary data for JSON
+
+export function toBase64(buffer) {
+  let binary = ''
+  for (const byte of new Uint8Array(buffer)) binary += String.fromCharCode(byte)
+  return btoa(binary)
+}
+
+export function fromBase64(string) {
+  return Uint8Array.from(atob(string), c=> c.charCodeAt(0))
+}
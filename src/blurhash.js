@@ -0,0 +1,110 @@
+// BlurHash (https://blurha.sh), a short string
+// that decodes to a blurred version of an image
+// to show while the image loads
+
+const characters = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~'
+
+// pixels are RGBA, as in ImageData
+export function encode(pixels, width, height, componentsX=4, componentsY=3) {
+  const factors = []
+  for (let j = 0; j < componentsY; j++) {
+    for (let i = 0; i < componentsX; i++) {
+      const normalisation = i == 0 && j == 0? 1 : 2
+      const factor = [0, 0, 0]
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const basis = normalisation *
+            Math.cos(Math.PI * i * x / width) * Math.cos(Math.PI * j * y / height)
+          const offset = 4 * (x + y * width)
+          for (let c = 0; c < 3; c++) {
+            factor[c] += basis * sRGBToLinear(pixels[offset + c])
+          }
+        }
+      }
+      factors.push(factor.map(value=> value / (width * height)))
+    }
+  }
+
+  const [dc, ...ac] = factors
+  let hash = encode83((componentsX - 1) + (componentsY - 1) * 9, 1)
+  let maximum = 1
+  if (ac.length) {
+    const actualMaximum = Math.max(...ac.flat().map(Math.abs))
+    const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5)))
+    maximum = (quantisedMaximum + 1) / 166
+    hash += encode83(quantisedMaximum, 1)
+  } else {
+    hash += encode83(0, 1)
+  }
+  hash += encode83(dc.reduce((value, c)=> value * 256 + linearToSRGB(c), 0), 4)
+  for (const factor of ac) {
+    const quantised = factor.map(c=> Math.max(0, Math.min(18,
+      Math.floor(signPow(c / maximum, 0.5) * 9 + 9.5))))
+    hash += encode83(quantised[0] * 19 * 19 + quantised[1] * 19 + quantised[2], 2)
+  }
+  return hash
+}
+
+// The RGBA pixels of a hash drawn at the given size
+export function decode(hash, width, height, punch=1) {
+  const sizeFlag = decode83(hash[0])
+  const componentsX = sizeFlag % 9 + 1
+  const componentsY = Math.floor(sizeFlag / 9) + 1
+  if (hash.length != 4 + 2 * componentsX * componentsY) {
+    throw new Error("The blurhash is the wrong length")
+  }
+
+  const maximum = (decode83(hash[1]) + 1) / 166
+  const dc = decode83(hash.slice(2, 6))
+  const colors = [[dc >> 16, (dc >> 8) & 255, dc & 255].map(sRGBToLinear)]
+  for (let i = 1; i < componentsX * componentsY; i++) {
+    const value = decode83(hash.slice(4 + i * 2, 6 + i * 2))
+    colors.push([Math.floor(value / 361), Math.floor(value / 19) % 19, value % 19]
+      .map(q=> signPow((q - 9) / 9, 2) * maximum * punch))
+  }
+
+  const pixels = new Uint8ClampedArray(width * height * 4)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = [0, 0, 0]
+      for (let j = 0; j < componentsY; j++) {
+        for (let i = 0; i < componentsX; i++) {
+          const basis = Math.cos(Math.PI * x * i / width) * Math.cos(Math.PI * y * j / height)
+          const factor = colors[i + j * componentsX]
+          for (let c = 0; c < 3; c++) color[c] += factor[c] * basis
+        }
+      }
+      const offset = 4 * (x + y * width)
+      color.forEach((c, index)=> pixels[offset + index] = linearToSRGB(c))
+      pixels[offset + 3] = 255
+    }
+  }
+  return pixels
+}
+
+function encode83(value, length) {
+  let result = ''
+  for (let i = 1; i <= length; i++) {
+    result += characters[Math.floor(value / 83 ** (length - i)) % 83]
+  }
+  return result
+}
+
+function decode83(string) {
+  return [...string].reduce((value, c)=> value * 83 + characters.indexOf(c), 0)
+}
+
+function sRGBToLinear(value) {
+  const v = value / 255
+  return v <= 0.04045? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4
+}
+
+function linearToSRGB(value) {
+  const v = Math.max(0, Math.min(1, value))
+  return v <= 0.0031308?
+    Math.trunc(v * 12.92 * 255 + 0.5) : Math.trunc((1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5)
+}
+
+function signPow(value, exponent) {
+  return Math.sign(value) * Math.abs(value) ** exponent
+}
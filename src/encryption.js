@@ -0,0 +1,249 @@
+import { ValidationError } from './errors.js'
+import { toBase64, fromBase64 } from './base64.js'
+
+// End-to-end encryption of objects with WebCrypto.
+// Each device has an ECDH P-256 key pair and publishes
+// the public half in its actor's context as:
+//
+//   { type: 'PublicKey', purpose: 'encryption', publicKey: JWK, signature }
+//
+// The server could swap in keys of its own, so a key is
+// only used if its object is signed with one of the
+// actor's trusted signing keys (see signing.js).
+//
+// An object with encryptTo (an array of actor URIs) is
+// sent with the fields the server needs in the clear and
+// the rest, or only the fields listed in encryptFields,
+// replaced by an envelope:
+//
+//   { id, actor, context, ..., encrypted: { iv, ciphertext, fields?, keys } }
+//
+// The payload is encrypted with a fresh AES-GCM key and
+// keys holds a copy of that key for each device of each
+// recipient and the sender, wrapped with the key that
+// ECDH derives from the sending device's key pair and
+// the receiving device's:
+//
+//   keys: { actor: [{ from: keyID, to: keyID, iv, key }, ...] }
+export default class Encryption {
+
+  static clearFields = ['id', 'actor', 'context', 'published', 'updated', 'bto', 'bcc']
+
+  #keyPair = null
+  #publicKeys = new Map() // actor->Promise<[{ id, publicKey }]>
+  #pairKeys = new Map() // key ID->Promise<CryptoKey>
+
+  // graffiti supplies:
+  //   me()                  -> your actor
+  //   loadKeys()            -> stored JWK key pair or null
+  //   storeKeys(jwks)
+  //   lookup(actor)         -> Promise of the JWKs an actor has published and signed
+  //   publish(jwk)          -> Promise
+  constructor(graffiti) {
+    this.graffiti = graffiti
+  }
+
+  static isEncrypted(object) {
+    return typeof object?.encrypted == 'object' && object.encrypted !== null
+  }
+
+  // Mark an object that couldn't be decrypted
+  // without adding anything that would be sent on
+  static flag(object, error) {
+    object = JSON.parse(JSON.stringify(object))
+    Object.defineProperty(object, 'encryptionError', { value: String(error?.message ?? error) })
+    return object
+  }
+
+  // Forget keys after switching accounts
+  reset() {
+    this.#keyPair = null
+    this.#publicKeys.clear()
+    this.#pairKeys.clear()
+  }
+
+  async keyPair() {
+    if (!this.#keyPair) this.#keyPair = this.#loadKeyPair()
+    return await this.#keyPair
+  }
+
+  async #loadKeyPair() {
+    let jwks = this.graffiti.loadKeys()
+    if (!jwks) {
+      const keyPair = await crypto.subtle.generateKey(
+        { name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveKey'])
+      jwks = {
+        publicKey:  await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+        privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey)
+      }
+      this.graffiti.storeKeys(jwks)
+    }
+    return {
+      jwk: jwks.publicKey,
+      publicKey: await importKey(jwks.publicKey, []),
+      privateKey: await importKey(jwks.privateKey, ['deriveKey'])
+    }
+  }
+
+  // Make sure this device's public key is published
+  async publish() {
+    const { jwk } = await this.keyPair()
+    const published = await this.graffiti.lookup(this.graffiti.me())
+    if (!published.some(key=> keyID(key) == keyID(jwk))) {
+      await this.graffiti.publish(jwk)
+    }
+  }
+
+  // The keys of each of an actor's devices,
+  // always including this device for us
+  async publicKeys(actor) {
+    if (!this.#publicKeys.has(actor)) {
+      const publicKeys = (async ()=> {
+        const jwks = await this.graffiti.lookup(actor)
+        if (actor == this.graffiti.me()) jwks.push((await this.keyPair()).jwk)
+        const keys = new Map()
+        for (const jwk of jwks) {
+          if (keys.has(keyID(jwk))) continue
+          try {
+            keys.set(keyID(jwk), await importKey(jwk, []))
+          } catch {}
+        }
+        if (!keys.size) throw new ValidationError(`${actor} has not published an encryption key`)
+        return [...keys].map(([id, publicKey])=> ({ id, publicKey }))
+      })()
+      // Look again next time if it fails
+      publicKeys.catch(()=> this.#publicKeys.delete(actor))
+      this.#publicKeys.set(actor, publicKeys)
+    }
+    return await this.#publicKeys.get(actor)
+  }
+
+  // The key shared between this device and another
+  async #pairKey({ id, publicKey }) {
+    if (!this.#pairKeys.has(id)) {
+      const pairKey = (async ()=> crypto.subtle.deriveKey(
+        { name: 'ECDH', public: publicKey },
+        (await this.keyPair()).privateKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['wrapKey', 'unwrapKey']))()
+      pairKey.catch(()=> this.#pairKeys.delete(id))
+      this.#pairKeys.set(id, pairKey)
+    }
+    return await this.#pairKeys.get(id)
+  }
+
+  async encrypt(object) {
+    const me = this.graffiti.me()
+    const recipients = [...new Set([...object.encryptTo, me])]
+    const fields = object.encryptFields ?? Object.keys(object).filter(field=>
+      !Encryption.clearFields.includes(field)
+      && field != 'encryptTo' && field != 'encryptFields')
+
+    const envelope = { ...object }
+    delete envelope.encryptTo
+    delete envelope.encryptFields
+    const payload = {}
+    for (const field of fields) {
+      if (!(field in object)) continue
+      payload[field] = object[field]
+      delete envelope[field]
+    }
+
+    const contentKey = await crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt'])
+    const iv = crypto.getRandomValues(new Uint8Array(12))
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: additionalData(object) },
+      contentKey,
+      new TextEncoder().encode(JSON.stringify(payload)))
+
+    const from = keyID((await this.keyPair()).jwk)
+    const keys = {}
+    for (const recipient of recipients) {
+      keys[recipient] = []
+      for (const publicKey of await this.publicKeys(recipient)) {
+        const keyIV = crypto.getRandomValues(new Uint8Array(12))
+        const key = await crypto.subtle.wrapKey('raw', contentKey,
+          await this.#pairKey(publicKey), { name: 'AES-GCM', iv: keyIV })
+        keys[recipient].push({ from, to: publicKey.id, iv: toBase64(keyIV), key: toBase64(key) })
+      }
+    }
+
+    envelope.encrypted = { iv: toBase64(iv), ciphertext: toBase64(ciphertext), keys }
+    if (object.encryptFields) envelope.encrypted.fields = true
+    return envelope
+  }
+
+  // The decrypted object, or the object
+  // flagged with an encryptionError
+  async decrypt(object) {
+    try {
+      const { iv, ciphertext, keys, fields } = object.encrypted
+      const me = this.graffiti.me()
+      if (!keys?.[me]) throw new Error("The object is not encrypted to you")
+
+      // Envelopes from before each device had its own
+      // key hold a single copy without key IDs
+      const id = keyID((await this.keyPair()).jwk)
+      const copies = [].concat(keys[me]).filter(copy=> (copy.to ?? id) == id)
+      if (!copies.length) throw new Error("The object is not encrypted to this device")
+      let senderKeys = await this.publicKeys(object.actor)
+      if (!copies.some(copy=> !copy.from || senderKeys.some(key=> key.id == copy.from))) {
+        // They may have published a key since we looked
+        this.#publicKeys.delete(object.actor)
+        senderKeys = await this.publicKeys(object.actor)
+      }
+      const contentKey = await this.#unwrap(copies, senderKeys)
+      if (!contentKey) throw new Error("The object was not encrypted with a trusted key")
+
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(iv), additionalData: additionalData(object) },
+        contentKey,
+        fromBase64(ciphertext))
+      const payload = JSON.parse(new TextDecoder().decode(plaintext))
+
+      const decrypted = { ...object, ...payload }
+      delete decrypted.encrypted
+      decrypted.encryptTo = Object.keys(keys).filter(actor=> actor != object.actor)
+      if (fields) decrypted.encryptFields = Object.keys(payload)
+      return decrypted
+    } catch (e) {
+      return Encryption.flag(object, e)
+    }
+  }
+
+  async #unwrap(copies, senderKeys) {
+    for (const copy of copies) {
+      for (const senderKey of senderKeys) {
+        if (copy.from && copy.from != senderKey.id) continue
+        try {
+          return await crypto.subtle.unwrapKey('raw',
+            fromBase64(copy.key),
+            await this.#pairKey(senderKey),
+            { name: 'AES-GCM', iv: fromBase64(copy.iv) },
+            { name: 'AES-GCM' },
+            false,
+            ['decrypt'])
+        } catch {}
+      }
+    }
+    return null
+  }
+}
+
+function importKey(jwk, usages) {
+  return crypto.subtle.importKey('jwk', jwk,
+    { name: 'ECDH', namedCurve: 'P-256' }, true, usages)
+}
+
+// The x coordinate is enough to tell P-256 keys apart
+function keyID(jwk) {
+  return jwk?.x
+}
+
+// Tie the ciphertext to the object so it
+// can't be replayed as a different one
+function additionalData(object) {
+  return new TextEncoder().encode(object.id + ' ' + object.actor)
+}
@@ -0,0 +1,79 @@
+// Errors raised by the graffiti client.
+// Each has a code so they can be told apart
+// after being serialized (as in the outbox)
+export class GraffitiError extends Error {
+  constructor(message, code='graffiti', data) {
+    super(message)
+    this.name = 'GraffitiError'
+    this.code = code
+    if (data !== undefined) this.data = data
+  }
+
+  // Convert an error reply from the server
+  static fromReply(data) {
+    const error = data.error
+    const detail = typeof error == 'string'? error : JSON.stringify(error)
+    if (error == 'authorization') {
+      return new AuthorizationError(`The server did not authorize the request: ${detail}`, data)
+    } else if (error == 'conflict') {
+      return new ConflictError("The object was changed by someone else", data)
+    } else if (error == 'validation' || (typeof error == 'string' && error.startsWith('invalid'))) {
+      return new ValidationError(`The server rejected the request as invalid: ${detail}`, data)
+    } else {
+      return new ServerError(`The server could not complete the request: ${detail}`, data)
+    }
+  }
+}
+
+export class NotConnectedError extends GraffitiError {
+  constructor(message="Not connected to graffiti server") {
+    super(message, 'not-connected')
+    this.name = 'NotConnectedError'
+  }
+}
+
+export class TimeoutError extends GraffitiError {
+  constructor(message="The graffiti server did not reply in time") {
+    super(message, 'timeout')
+    this.name = 'TimeoutError'
+  }
+}
+
+export class AuthorizationError extends GraffitiError {
+  constructor(message="Not authorized", data) {
+    super(message, 'authorization', data)
+    this.name = 'AuthorizationError'
+  }
+}
+
+export class ValidationError extends GraffitiError {
+  constructor(message="Invalid object", data) {
+    super(message, 'validation', data)
+    this.name = 'ValidationError'
+  }
+}
+
+export class ServerError extends GraffitiError {
+  constructor(message="Server error", data) {
+    super(message, 'server', data)
+    this.name = 'ServerError'
+  }
+}
+
+// The server's copy of an object has changed since the
+// version an update was based on. data.current holds
+// the server's copy, or null if it has been removed
+export class ConflictError extends GraffitiError {
+  constructor(message="Conflicting update", data) {
+    super(message, 'conflict', data)
+    this.name = 'ConflictError'
+  }
+}
+
+// Media that couldn't be stored or fetched
+export class MediaError extends GraffitiError {
+  constructor(message="The media is not available", data) {
+    super(message, 'media', data)
+    this.name = 'MediaError'
+  }
+}
@@ -0,0 +1,105 @@
+import { MediaError } from './errors.js'
+
+// A media backend that uploads files to a content
+// addressed HTTP store, so they stay available when
+// no peers are online. Files are kept at
+//
+//   PUT/GET {url}/{sha256 of the file in hex}
+//
+// and what is fetched is checked against the hash,
+// so any store can serve any file. Without a url
+// files can still be fetched but not stored.
+// scripts/media-server.mjs is a stand-in store.
+export default class HTTPMedia {
+
+  constructor(url=null) {
+    this.name = 'http'
+    this.url = url?.replace(/\/+$/, '') ?? null
+  }
+
+  static hashOf(source) {
+    return new URL(source).pathname.split('/').pop().match(/^[0-9a-f]{64}$/)?.[0] ?? null
+  }
+
+  // Resolves to the file's URL, or null if there
+  // is nowhere to store it. fetch can't report the
+  // upload as it goes, so progress comes at the end.
+  async store(file, { signal, onProgress }={}) {
+    if (!this.url) return null
+    const source = `${this.url}/${await sha256(file)}`
+    const response = await fetch(source, {
+      method: 'PUT',
+      headers: { 'Content-Type': file.type || 'application/octet-stream' },
+      body: file,
+      signal
+    })
+    if (!response.ok) {
+      throw new MediaError(`The media could not be uploaded to ${this.url}: ${response.status}`)
+    }
+    onProgress?.({ loaded: file.size, total: file.size, peers: null, speed: null })
+    return source
+  }
+
+  canFetch({ sources }) {
+    return sources.some(source=> HTTPMedia.hashOf(source))
+  }
+
+  // Try each source in turn. check(size, type)
+  // throws if the file is too big or the wrong type.
+  async fetch({ sources }, { signal, onProgress, check }={}) {
+    let error
+    for (const source of sources) {
+      const hash = HTTPMedia.hashOf(source)
+      if (!hash) continue
+      try {
+        const response = await fetch(source, { signal })
+        if (!response.ok) {
+          throw new MediaError(`${source} could not be fetched: ${response.status}`)
+        }
+        const blob = await HTTPMedia.#read(response, { onProgress, check })
+        if (await sha256(blob) != hash) {
+          throw new MediaError(`${source} does not match its hash`)
+        }
+        return blob
+      } catch (e) {
+        signal?.throwIfAborted()
+        error = e
+      }
+    }
+    throw error
+  }
+
+  // Read the body as it arrives, stopping
+  // as soon as it is over the size limit
+  static async #read(response, { onProgress, check }) {
+    const type = (response.headers.get('Content-Type') ?? '').split(';')[0].trim()
+    const total = Number(response.headers.get('Content-Length')) || null
+    check?.(total ?? 0, type)
+
+    const chunks = []
+    const start = Date.now()
+    let loaded = 0
+    const reader = response.body.getReader()
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+      loaded += value.length
+      try {
+        check?.(loaded)
+      } catch (e) {
+        reader.cancel()
+        throw e
+      }
+      chunks.push(value)
+      const seconds = (Date.now() - start) / 1000
+      onProgress?.({ loaded, total, peers: null, speed: seconds? loaded / seconds : null })
+    }
+    return new Blob(chunks, { type })
+  }
+}
+
+async function sha256(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer())
+  return Array.from(new Uint8Array(digest))
+    .map(b=> b.toString(16).padStart(2, '0')).join('')
+}
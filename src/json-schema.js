@@ -0,0 +1,8 @@
+import Query from './query.js'
+
+// Load Ajv from a CDN to check JSON Schemas in queries,
+// schemas.js and GraffitiArray.query. Where that can't
+// be done, as in Node, pass Ajv to Query.useAjv instead.
+try {
+  Query.useAjv((await import("https://cdn.jsdelivr.net/npm/ajv@8.12.0/+esm")).default)
+} catch {}
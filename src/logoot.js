@@ -114,6 +114,16 @@ export default {
     return out
   },
 
+  // The upper bound for inserting at index into sorted
+  // positions after lower. Positions equal to lower are
+  // skipped, since nothing fits between equal positions.
+  upperBound(positions, index, lower) {
+    while (index < positions.length && !this.compare(positions[index], lower)) {
+      index++
+    }
+    return index < positions.length? positions[index] : this.after
+  },
+
   compare(a, b) {
     // Strip zeros and find common length
     const aLength = this.lengthWithoutZeros(a)
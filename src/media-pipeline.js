@@ -0,0 +1,141 @@
+import { encode } from './blurhash.js'
+
+// Preparing images and videos before they are stored.
+// Images are redrawn on a canvas, which drops their EXIF
+// and other metadata (after applying its orientation),
+// and shrunk to fit within maxWidth and maxHeight. GIFs
+// and SVGs are left as they are. Videos can't be re-encoded
+// in the browser, so they are stored as they are, with
+// their dimensions and duration read off.
+//
+// Both get a JPEG thumbnail and a blurhash of the
+// image or of a frame near the start of the video.
+export default {
+
+  defaults: {
+    maxWidth: 2048,
+    maxHeight: 2048,
+    quality: 0.85,
+    stripMetadata: true,
+    thumbnail: { maxWidth: 320, maxHeight: 320 }, // or false
+    blurhash: true
+  },
+
+  // Resolves to { file, width, height, duration, thumbnail, blurhash }
+  // with whichever of these apply
+  async process(file, options={}) {
+    options = { ...this.defaults, ...options }
+    if (file.type.startsWith('image/')) {
+      return await this.image(file, options)
+    } else if (file.type.startsWith('video/')) {
+      return await this.video(file, options)
+    } else {
+      return { file }
+    }
+  },
+
+  async image(file, options) {
+    if (['image/gif', 'image/svg+xml'].includes(file.type)) return { file }
+
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+    try {
+      const { width, height } = fit(bitmap.width, bitmap.height, options.maxWidth, options.maxHeight)
+      const result = { file, width, height }
+      if (options.stripMetadata || width != bitmap.width || height != bitmap.height) {
+        const type = ['image/jpeg', 'image/png', 'image/webp'].includes(file.type)?
+          file.type : 'image/jpeg'
+        const blob = await draw(bitmap, width, height, type, options.quality)
+        result.file = new File([blob], rename(file.name, blob.type), { type: blob.type })
+      }
+      await this.preview(result, bitmap, bitmap.width, bitmap.height, options)
+      return result
+    } finally {
+      bitmap.close()
+    }
+  },
+
+  async video(file, options) {
+    if (typeof document == 'undefined') return { file }
+
+    const video = document.createElement('video')
+    video.muted = true
+    video.playsInline = true
+    video.preload = 'auto'
+    const url = URL.createObjectURL(file)
+    try {
+      video.src = url
+      await once(video, 'loadeddata')
+      const result = {
+        file,
+        width: video.videoWidth,
+        height: video.videoHeight,
+        duration: video.duration
+      }
+      // Skip past fades in from black
+      if (Number.isFinite(video.duration)) {
+        video.currentTime = Math.min(1, video.duration / 10)
+        await once(video, 'seeked')
+      }
+      await this.preview(result, video, video.videoWidth, video.videoHeight, options)
+      return result
+    } finally {
+      URL.revokeObjectURL(url)
+      video.removeAttribute('src')
+      video.load()
+    }
+  },
+
+  // Add a thumbnail and blurhash of the source
+  async preview(result, source, width, height, options) {
+    if (options.thumbnail) {
+      const size = fit(width, height, options.thumbnail.maxWidth, options.thumbnail.maxHeight)
+      const blob = await draw(source, size.width, size.height, 'image/jpeg', options.quality)
+      result.thumbnail = new File([blob], 'thumbnail.jpg', { type: blob.type })
+    }
+    if (options.blurhash) {
+      // Blurhashes only need a few pixels
+      const size = fit(width, height, 32, 32)
+      const context = canvas(size.width, size.height).getContext('2d')
+      context.drawImage(source, 0, 0, size.width, size.height)
+      const { data } = context.getImageData(0, 0, size.width, size.height)
+      result.blurhash = encode(data, size.width, size.height)
+    }
+  }
+}
+
+// Scale down to fit, keeping the aspect ratio
+function fit(width, height, maxWidth=Infinity, maxHeight=Infinity) {
+  const scale = Math.min(1, maxWidth / width, maxHeight / height)
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  }
+}
+
+function canvas(width, height) {
+  if (typeof OffscreenCanvas != 'undefined') return new OffscreenCanvas(width, height)
+  return Object.assign(document.createElement('canvas'), { width, height })
+}
+
+// Browsers that can't encode a type give PNG instead
+async function draw(source, width, height, type, quality) {
+  const target = canvas(width, height)
+  const context = target.getContext('2d')
+  context.imageSmoothingQuality = 'high'
+  context.drawImage(source, 0, 0, width, height)
+  if (target.convertToBlob) return await target.convertToBlob({ type, quality })
+  return await new Promise(resolve=> target.toBlob(resolve, type, quality))
+}
+
+function rename(name, type) {
+  const extension = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' }[type]
+  if (!name || !extension) return name ?? ''
+  return name.replace(/(\.[^.]*)?$/, '.' + extension)
+}
+
+function once(target, event) {
+  return new Promise((resolve, reject)=> {
+    target.addEventListener(event, resolve, { once: true })
+    target.addEventListener('error', ()=> reject(target.error), { once: true })
+  })
+}
@@ -0,0 +1,271 @@
+import TorrentMedia from './torrent-media.js'
+import HTTPMedia from './http-media.js'
+import MediaPipeline from './media-pipeline.js'
+import { MediaError, TimeoutError } from './errors.js'
+
+// Media files (images, video, ...) that objects refer
+// to. Files are stored with every backend and combined
+// into one reference, a magnet URI whose ws parameters
+// are HTTP copies of the file:
+//
+//   magnet:?xt=urn:btih:...&ws=https://media.example/{sha256}
+//
+// Storing resolves to a descriptor that can be put in
+// an object and passed back to fetch in its place:
+//
+//   { src, mimeType, size, width, height, duration, thumbnail, blurhash }
+//
+// where src and thumbnail are references. The dimensions, thumbnail
+// and blurhash are only there if the file was processed
+// (see media-pipeline.js) and they apply.
+//
+// Fetching tries the backends' local copies, then each
+// backend in order (peers, then HTTP by default), giving
+// up on each after its timeout. A backend provides:
+//
+//   name
+//   store(file)                  -> Promise<URI or null>
+//   canFetch(reference)          -> whether it could fetch it
+//   fetch(reference, { signal }) -> Promise<Blob>
+//
+// and may provide cached(reference) -> Promise<Blob or null>,
+// evict(reference) and clear() to drop what they keep locally.
+// References are parsed into { uri, magnet, infoHash, sources }.
+// store and fetch also pass backends a signal, an onProgress
+// callback and, when fetching, check(size, type), which throws
+// if the file is over the size limit or not an allowed type.
+// Progress is reported as
+//
+//   { backend, loaded, total, peers, speed }
+//
+// in bytes and bytes per second, with nulls where unknown.
+export default class Media {
+
+  constructor({
+    url=null, backends, timeouts, maxSize=100 * 2**20, types=null,
+    maxCacheSize, quotaFraction, process=false
+  }={}) {
+    this.backends = backends ??
+      [new TorrentMedia({ maxCacheSize, quotaFraction }), new HTTPMedia(url)]
+    this.timeouts = {
+      peers: 20000, // milliseconds, or 0 to wait forever
+      http: 30000,
+      ...timeouts
+    }
+    this.maxSize = maxSize // bytes
+    this.types = types // allowed MIME types like 'image/*', or null for any
+    this.process = process // true or pipeline options to process images and video
+    this.urlCache = {}
+    this.urlRefs = {} // uri->number of fetchURL calls not yet released
+    this.urlWaiters = {}
+  }
+
+  allows(type) {
+    return !this.types || this.types.some(allowed=> allowed == type
+      || (allowed.endsWith('/*') && type?.startsWith(allowed.slice(0, -1))))
+  }
+
+  // Throws if a file is too big or of the wrong type,
+  // leaving out whichever isn't known yet
+  check(size, type) {
+    if (size > this.maxSize) {
+      throw new MediaError(`The media is ${size} bytes, over the limit of ${this.maxSize}`,
+        { limit: 'maxSize' })
+    }
+    if (type !== undefined && !this.allows(type)) {
+      throw new MediaError(`Media of type "${type}" is not allowed`, { limit: 'types' })
+    }
+  }
+
+  // The reference in a descriptor
+  static src(reference) {
+    return typeof reference == 'string'? reference : reference.src
+  }
+
+  // A magnet URI or the URL of a stored file
+  static parse(uri) {
+    if (uri.startsWith('magnet:')) {
+      const params = new URLSearchParams(uri.slice(uri.indexOf('?') + 1))
+      const infoHash = params.getAll('xt')
+        .find(xt=> xt.startsWith('urn:btih:'))?.slice(9).toLowerCase() ?? null
+      const sources = [...params.getAll('ws'), ...params.getAll('xs')]
+        .filter(source=> /^https?:/.test(source))
+      return { uri, magnet: uri, infoHash, sources }
+    } else {
+      return { uri, magnet: null, infoHash: null, sources: [uri] }
+    }
+  }
+
+  // Resolves to a descriptor of the file
+  async store(file, { signal, onProgress, process=this.process }={}) {
+    const processed = process?
+      await MediaPipeline.process(file, process === true? {} : process) : { file }
+    signal?.throwIfAborted()
+
+    const descriptor = {
+      src: await this.#store(processed.file, { signal, onProgress }),
+      mimeType: processed.file.type,
+      size: processed.file.size
+    }
+    for (const key of ['width', 'height', 'duration']) {
+      if (Number.isFinite(processed[key])) descriptor[key] = processed[key]
+    }
+    if (processed.thumbnail) {
+      descriptor.thumbnail = await this.#store(processed.thumbnail, { signal })
+    }
+    if (processed.blurhash) descriptor.blurhash = processed.blurhash
+    return descriptor
+  }
+
+  // Resolves to a reference to the file
+  async #store(file, { signal, onProgress }) {
+    this.check(file.size, file.type)
+    const results = await Promise.allSettled(this.backends.map(backend=>
+      backend.store(file, {
+        signal,
+        onProgress: progress=> onProgress?.({ backend: backend.name, ...progress })
+      })))
+    signal?.throwIfAborted()
+    const uris = results.filter(r=> r.status == 'fulfilled' && r.value).map(r=> r.value)
+    results.filter(r=> r.status == 'rejected').forEach(r=> console.error(r.reason))
+    if (!uris.length) {
+      throw new MediaError("The media could not be stored with any backend")
+    }
+
+    const magnet = uris.find(uri=> uri.startsWith('magnet:'))
+    const sources = uris.filter(uri=> uri != magnet)
+    if (!magnet) return sources[0]
+    return [magnet, ...sources.map(source=> 'ws=' + encodeURIComponent(source))].join('&')
+  }
+
+  async fetch(reference, { signal, onProgress }={}) {
+    const uri = Media.src(reference)
+    const blob = await this.#fetch(uri, { signal, onProgress })
+    this.check(blob.size, blob.type)
+    return blob
+  }
+
+  async #fetch(uri, { signal, onProgress }) {
+    const reference = Media.parse(uri)
+
+    // A backend that can't check its cache,
+    // such as one that failed to load, is skipped
+    for (const backend of this.backends) {
+      try {
+        const blob = await backend.cached?.(reference)
+        if (blob) return blob
+      } catch {}
+    }
+
+    let error
+    for (const backend of this.backends) {
+      if (!backend.canFetch(reference)) continue
+      signal?.throwIfAborted()
+      const timeout = this.timeouts[backend.name]
+      const signals = [
+        ...(signal? [signal] : []),
+        ...(timeout? [AbortSignal.timeout(timeout)] : [])
+      ]
+      try {
+        return await backend.fetch(reference, {
+          signal: signals.length? AbortSignal.any(signals) : undefined,
+          onProgress: progress=> onProgress?.({ backend: backend.name, ...progress }),
+          check: this.check.bind(this)
+        })
+      } catch (e) {
+        signal?.throwIfAborted()
+        // Other backends would fetch the same file
+        if (e instanceof MediaError && e.data?.limit) throw e
+        error = e?.name == 'TimeoutError' && !(e instanceof TimeoutError)?
+          new TimeoutError(`The media was not found with ${backend.name} within ${timeout} milliseconds`) : e
+      }
+    }
+    throw error ?? new MediaError(`No backend can fetch ${uri}`)
+  }
+
+  // Fetches that ask for the same URL share one
+  // fetch, which is cancelled if they all give up.
+  // Call releaseURL once for each URL resolved to
+  // when it is no longer shown.
+  async fetchURL(reference, { signal, onProgress }={}) {
+    const uri = Media.src(reference)
+    signal?.throwIfAborted()
+    if (uri in this.urlCache) {
+      this.urlRefs[uri]++
+      return this.urlCache[uri]
+    }
+
+    let waiter = this.urlWaiters[uri]
+    if (!waiter) {
+      const controller = new AbortController()
+      waiter = this.urlWaiters[uri] = { controller, waiting: 0, listeners: new Set() }
+      waiter.url = this.fetch(uri, {
+        signal: controller.signal,
+        onProgress: progress=> waiter.listeners.forEach(listener=> listener(progress))
+      })
+        .then(blob=> {
+          this.urlRefs[uri] = 0
+          return this.urlCache[uri] = URL.createObjectURL(blob)
+        })
+        .finally(()=> {
+          if (this.urlWaiters[uri] === waiter) delete this.urlWaiters[uri]
+        })
+      waiter.url.catch(()=> {})
+    }
+
+    waiter.waiting++
+    if (onProgress) waiter.listeners.add(onProgress)
+    return await new Promise((resolve, reject)=> {
+      const settle = ()=> {
+        signal?.removeEventListener('abort', onAbort)
+        waiter.listeners.delete(onProgress)
+        waiter.waiting--
+      }
+      const onAbort = ()=> {
+        settle()
+        if (!waiter.waiting) {
+          if (this.urlWaiters[uri] === waiter) delete this.urlWaiters[uri]
+          waiter.controller.abort(signal.reason)
+        }
+        reject(signal.reason)
+      }
+      signal?.addEventListener('abort', onAbort, { once: true })
+      waiter.url.then(url=> {
+        settle()
+        this.urlRefs[uri]++
+        resolve(url)
+      }, e=> {
+        settle()
+        reject(e)
+      })
+    })
+  }
+
+  // Revoke the URL once nothing is using it
+  releaseURL(reference) {
+    const uri = Media.src(reference)
+    if (!(uri in this.urlCache) || --this.urlRefs[uri] > 0) return
+    URL.revokeObjectURL(this.urlCache[uri])
+    delete this.urlCache[uri]
+    delete this.urlRefs[uri]
+  }
+
+  // Drop a file from local storage. URLs
+  // in use stay until they are released.
+  async evict(reference) {
+    const uris = [Media.src(reference), reference.thumbnail].filter(uri=> uri)
+    await Promise.all(uris.map(Media.parse).map(parsed=>
+      Promise.all(this.backends.map(backend=> backend.evict?.(parsed)))))
+  }
+
+  // Drop every file from local storage
+  // and revoke every URL, even those in use
+  async clear() {
+    for (const url of Object.values(this.urlCache)) {
+      URL.revokeObjectURL(url)
+    }
+    this.urlCache = {}
+    this.urlRefs = {}
+    await Promise.all(this.backends.map(backend=> backend.clear?.()))
+  }
+}
@@ -0,0 +1,270 @@
+import Query from './query.js'
+import Pagination from './pagination.js'
+import Audience from './audience.js'
+
+// An in-memory graffiti server and a transport
+// that connects to it. Several clients, each with
+// their own actor, can share one server so that
+// multi-user behavior can be exercised in a single
+// process without a network connection:
+//
+//   const server = new MemoryServer()
+//   const alice = new Graffiti({
+//     transport: new MemoryTransport(server, 'graffitiactor://alice')
+//   })
+
+export class MemoryServer {
+
+  constructor() {
+    this.objects = {} // id->object
+    this.connections = new Set()
+    this.running = true
+    this.deferred = null // messages held back during a batch
+  }
+
+  connect(actor, { onOpen, onMessage, onClose }) {
+    const connection = {
+      actor,
+      contexts: new Map(), // context->query or null
+      open: true,
+      send: message=> {
+        // Copy the message as it would be
+        // serialized over a network and deliver
+        // it asynchronously, in order
+        message = JSON.parse(JSON.stringify(message))
+        setTimeout(()=> connection.open && onMessage(message))
+      },
+      close: ()=> {
+        if (!connection.open) return
+        connection.open = false
+        this.connections.delete(connection)
+        setTimeout(()=> onClose())
+      }
+    }
+    if (this.running) {
+      this.connections.add(connection)
+      setTimeout(()=> connection.open && onOpen())
+    } else {
+      connection.open = true
+      connection.close()
+    }
+    return connection
+  }
+
+  // Drop every open connection, as if the server restarted
+  disconnectAll() {
+    for (const connection of this.connections) {
+      connection.close()
+    }
+  }
+
+  // Drop every connection and refuse new ones until started
+  stop() {
+    this.running = false
+    this.disconnectAll()
+  }
+
+  start() {
+    this.running = true
+  }
+
+  receive(connection, message) {
+    if (!connection.open) return
+    message = JSON.parse(JSON.stringify(message))
+    const { messageID } = message
+
+    let reply
+    try {
+      if ('update' in message) {
+        reply = this.#update(connection, message.update, message.base)
+      } else if ('remove' in message) {
+        reply = this.#remove(connection, message.remove)
+      } else if ('subscribe' in message) {
+        reply = this.#subscribe(connection, message.subscribe, message)
+      } else if ('unsubscribe' in message) {
+        reply = this.#unsubscribe(connection, message.unsubscribe)
+      } else if ('batch' in message) {
+        reply = this.#batch(connection, message.batch)
+      } else if ('history' in message) {
+        reply = this.#history(connection, message.history, message)
+      } else if ('ls' in message) {
+        reply = this.#ls(connection)
+      } else {
+        throw 'unrecognized message'
+      }
+    } catch (error) {
+      // Errors can be a string or a reply with more detail
+      if (error instanceof Error) error = error.code ?? error.message
+      if (typeof error == 'object') return connection.send({ messageID, ...error })
+      return connection.send({ messageID, error })
+    }
+    connection.send({ messageID, reply })
+  }
+
+  // If a base is given, it must be the "updated"
+  // timestamp of the stored version of the object
+  // (or null if there shouldn't be one)
+  #update(connection, object, base) {
+    if (!connection.actor) throw 'authorization'
+    if (typeof object != 'object' || object === null
+        || typeof object.id != 'string'
+        || !Array.isArray(object.context)
+        || !object.context.every(c=> typeof c == 'string')) {
+      throw 'invalid object'
+    }
+    if (Audience.validate(object)) throw 'invalid audience'
+    if (object.actor != connection.actor
+        || !object.id.startsWith(`graffitiobject://${connection.actor.substring(16)}:`)) {
+      throw 'authorization'
+    }
+
+    const existing = this.objects[object.id]
+    if (base !== undefined && (existing?.updated ?? null) !== base) {
+      throw { error: 'conflict', current: existing ?? null }
+    }
+    this.objects[object.id] = object
+    if (existing) this.#publish('remove', existing)
+    this.#publish('update', object)
+    return existing? 'replaced' : 'inserted'
+  }
+
+  // Apply several updates and removals,
+  // or none of them if any fails
+  #batch(connection, operations) {
+    if (!Array.isArray(operations)) throw 'invalid batch'
+    const snapshot = { ...this.objects }
+    this.deferred = []
+    try {
+      const replies = operations.map(operation=> {
+        if ('update' in operation) {
+          return this.#update(connection, operation.update, operation.base)
+        } else if ('remove' in operation) {
+          return this.#remove(connection, operation.remove)
+        } else {
+          throw 'invalid batch'
+        }
+      })
+      const deferred = this.deferred
+      this.deferred = null
+      deferred.forEach(args=> this.#publish(...args))
+      return replies
+    } catch (error) {
+      this.objects = snapshot
+      this.deferred = null
+      throw error
+    }
+  }
+
+  // Objects the caller can't see are not found,
+  // so as not to reveal that they exist
+  #remove(connection, id) {
+    const existing = this.objects[id]
+    if (!existing || !Audience.canSee(connection.actor, existing)) throw 'not found'
+    if (existing.actor != connection.actor) throw 'authorization'
+
+    delete this.objects[id]
+    this.#publish('remove', existing)
+    return 'removed'
+  }
+
+  // A query, if given, limits the objects sent for the
+  // contexts and replaces any earlier query for them.
+  // With a limit, only the newest existing objects are
+  // sent and the reply holds a cursor to older ones.
+  #subscribe(connection, contexts, { query=null, limit, sortBy='published' }) {
+    contexts.forEach(c=> connection.contexts.set(c, query))
+
+    // Send existing objects before replying
+    const { objects, cursor } = this.#history(connection, contexts, { query, limit, sortBy })
+    objects.forEach(object=> connection.send({ update: object }))
+    return limit? { cursor } : 'subscribed'
+  }
+
+  #history(connection, contexts, { query=null, limit, before, sortBy='published' }) {
+    Pagination.validate(sortBy)
+    return Pagination.page(
+      Object.values(this.objects)
+        .filter(object=> Audience.canSee(connection.actor, object)
+          && Audience.contexts(object).some(c=> contexts.includes(c)))
+        .map(object=> Audience.view(object, connection.actor))
+        .filter(object=> !query || Query.matches(query, object)),
+      { limit, before, sortBy })
+  }
+
+  #unsubscribe(connection, contexts) {
+    contexts.forEach(c=> connection.contexts.delete(c))
+    return 'unsubscribed'
+  }
+
+  #ls(connection) {
+    if (!connection.actor) throw 'authorization'
+    return [...new Set(
+      Object.values(this.objects)
+        .filter(o=> o.actor==connection.actor)
+        .map(o=> o.context).flat())]
+  }
+
+  // Send an update or remove to the connections
+  // that are allowed to see the object
+  #publish(type, object) {
+    if (this.deferred) return this.deferred.push([type, object])
+    const contexts = Audience.contexts(object)
+    for (const connection of this.connections) {
+      if (!Audience.canSee(connection.actor, object)) continue
+      const view = Audience.view(object, connection.actor)
+      if (contexts.some(c=> connection.contexts.has(c) && (
+            !connection.contexts.get(c)
+            || Query.matches(connection.contexts.get(c), view)))) {
+        connection.send({ [type]: view })
+      }
+    }
+  }
+}
+
+export default class MemoryTransport {
+
+  constructor(server, actor=null) {
+    this.server = server
+    this.actor = actor
+    this.loggedIn = new Set(actor? [actor] : [])
+  }
+
+  async authorize() {
+    return { myActor: this.actor, token: null }
+  }
+
+  connect(handlers) {
+    this.connection = this.server.connect(this.actor, handlers)
+  }
+
+  send(message) {
+    this.server.receive(this.connection, message)
+  }
+
+  close() {
+    this.connection?.close()
+  }
+
+  // There is no login flow in memory,
+  // logging in adds the given actor
+  async logIn({ actor }={}) {
+    if (!actor) return null
+    this.loggedIn.add(actor)
+    this.actor = actor
+    return this.authorize()
+  }
+
+  logOut() {
+    this.loggedIn.delete(this.actor)
+    this.actor = null
+  }
+
+  accounts() {
+    return [...this.loggedIn]
+  }
+
+  switchAccount(actor) {
+    if (!this.loggedIn.has(actor)) throw new Error(`Not logged in as ${actor}`)
+    this.actor = actor
+  }
+}
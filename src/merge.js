@@ -0,0 +1,59 @@
+// Three-way merging of concurrent edits to an object.
+// Fields changed on only one side are kept, nested
+// objects are merged field by field, and fields changed
+// differently on both sides are conflicts, for which
+// the remote value is kept. Arrays are merged whole.
+export default {
+
+  // Fields that are managed by the client
+  // rather than by edits
+  ignored: ['id', 'actor', 'published', 'updated'],
+
+  threeWay(base, local, remote) {
+    const conflicts = []
+    const merged = mergeValues(base, local, remote, [], conflicts, this.ignored)
+    return { merged, conflicts }
+  },
+
+  equals(a, b) {
+    return equals(a, b)
+  }
+}
+
+function mergeValues(base, local, remote, path, conflicts, ignored=[]) {
+  if (equals(local, remote)) return copy(local)
+  if (equals(local, base))   return copy(remote)
+  if (equals(remote, base))  return copy(local)
+
+  if (isObject(local) && isObject(remote)) {
+    base = isObject(base)? base : {}
+    const merged = {}
+    for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+      const value = ignored.includes(key)?
+        copy(remote[key] ?? local[key]) :
+        mergeValues(base[key], local[key], remote[key], [...path, key], conflicts)
+      if (value !== undefined) merged[key] = value
+    }
+    return merged
+  }
+
+  conflicts.push(path.join('.'))
+  return copy(remote)
+}
+
+function isObject(value) {
+  return typeof value == 'object' && value !== null && !Array.isArray(value)
+}
+
+function equals(a, b) {
+  if (a === b) return true
+  if (typeof a != 'object' || typeof b != 'object' || !a || !b) return false
+  if (Array.isArray(a) != Array.isArray(b)) return false
+  const keys = Object.keys(a)
+  return keys.length == Object.keys(b).length
+    && keys.every(k=> equals(a[k], b[k]))
+}
+
+function copy(value) {
+  return value === undefined? undefined : JSON.parse(JSON.stringify(value))
+}
@@ -0,0 +1,89 @@
+import Audience from './audience.js'
+
+// A local copy of the objects seen in each
+// context, so they can be shown before the
+// server has been reached. Each actor (or
+// null, logged out) has their own copy since
+// they may see different versions of an object.
+export default class ObjectCache {
+
+  constructor(name='graffiti-objects') {
+    this.name = name
+    this.storeNS = 'objects'
+    this.memory = new Map() // id->record, if there is no IndexedDB
+    this.ready = this.#initialize()
+  }
+
+  async #initialize() {
+    // Without IndexedDB (as in Node), or if it
+    // can't be opened, records are kept in memory
+    if (!globalThis.indexedDB) return
+
+    try {
+      const { openDB } = await import('https://cdn.jsdelivr.net/npm/idb@7.1.1/+esm')
+      this.db = await openDB(this.name, 2, {
+        upgrade: (db, oldVersion)=> {
+          // Records from version 1 weren't kept per actor
+          if (oldVersion) db.deleteObjectStore(this.storeNS)
+          const store = db.createObjectStore(this.storeNS, { keyPath: 'id' })
+          store.createIndex('contexts', 'contexts', { multiEntry: true })
+        }
+      })
+    } catch (e) {
+      console.error(e)
+      this.db = null
+    }
+  }
+
+  // Keys within the viewer's copy
+  static #key(viewer, name) {
+    return `${viewer ?? ''} ${name}`
+  }
+
+  async get(contexts, viewer) {
+    await this.ready
+
+    contexts = contexts.map(c=> ObjectCache.#key(viewer, c))
+    let records
+    if (this.db) {
+      records = (await Promise.all(contexts.map(c=>
+        this.db.getAllFromIndex(this.storeNS, 'contexts', c)))).flat()
+    } else {
+      records = [...this.memory.values()]
+        .filter(r=> r.contexts.some(c=> contexts.includes(c)))
+    }
+
+    // De-dupe objects that are in several contexts
+    const objects = {}
+    for (const record of records) {
+      objects[record.object.id] = JSON.parse(JSON.stringify(record.object))
+    }
+    return Object.values(objects)
+  }
+
+  put(object, viewer) {
+    const record = {
+      id: ObjectCache.#key(viewer, object.id),
+      contexts: Audience.contexts(object).map(c=> ObjectCache.#key(viewer, c)),
+      object: JSON.parse(JSON.stringify(object))
+    }
+    this.ready.then(()=> {
+      if (this.db) {
+        this.db.put(this.storeNS, record)
+      } else {
+        this.memory.set(record.id, record)
+      }
+    })
+  }
+
+  delete(id, viewer) {
+    id = ObjectCache.#key(viewer, id)
+    this.ready.then(()=> {
+      if (this.db) {
+        this.db.delete(this.storeNS, id)
+      } else {
+        this.memory.delete(id)
+      }
+    })
+  }
+}
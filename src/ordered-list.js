@@ -0,0 +1,123 @@
+import Logoot from './logoot.js'
+import { AuthorizationError, ValidationError } from './errors.js'
+
+// A collaboratively ordered list of objects. Each
+// object stores its Logoot position in a property
+// (by default "position") and the list is sorted
+// by position. Concurrent inserts at the same
+// position are ordered by actor and then by ID
+// so every client sees the same order.
+export default class OrderedList {
+
+  // Objects that have been posted but may not
+  // have reached objects() yet, so that several
+  // inserts in a row see each other
+  #inserted = new Map() // id->object
+
+  // objects is a function that returns the current
+  // GraffitiArray of objects, in any order
+  constructor(objects, { property='position', me }) {
+    this.objects = objects
+    this.property = property
+    this.me = me
+  }
+
+  // The query matching objects with valid
+  // positions, combined with any other query
+  static query(property='position', query) {
+    const positionQuery = Logoot.query(property)
+    return query? { $and: [query, positionQuery] } : positionQuery
+  }
+
+  compare(a, b) {
+    return Logoot.compare(a[this.property], b[this.property])
+      || (a.actor < b.actor? -1 : a.actor > b.actor? 1 : 0)
+      || (a.id    < b.id?    -1 : a.id    > b.id?    1 : 0)
+  }
+
+  get items() {
+    const items = this.objects().filter(()=> true)
+    for (const [id, object] of this.#inserted) {
+      if (items.some(o=> o.id == id)) {
+        this.#inserted.delete(id)
+      } else {
+        items.push(object)
+      }
+    }
+    return items.sort((a, b)=> this.compare(a, b))
+  }
+
+  // Post an object so that it lands at the given index
+  insert(object, index) {
+    const items = this.items
+    OrderedList.#checkIndex(index, items.length, 'insert at')
+    object[this.property] = this.#positionAt(items, index)
+    object = this.objects().post(object)
+    this.#inserted.set(object.id, object)
+    return object
+  }
+
+  insertBefore(object, reference) {
+    return this.insert(object, this.#indexOf(this.items, reference))
+  }
+
+  insertAfter(object, reference) {
+    return this.insert(object, this.#indexOf(this.items, reference) + 1)
+  }
+
+  push(object) {
+    return this.insert(object, this.items.length)
+  }
+
+  unshift(object) {
+    return this.insert(object, 0)
+  }
+
+  // Move one of your own objects so that it
+  // lands at the given index
+  move(object, index) {
+    if (object.actor != this.me()) {
+      throw new AuthorizationError("Only your own objects can be moved")
+    }
+    const items = this.items
+    OrderedList.#checkIndex(index, items.length, 'move to')
+    const currentIndex = this.#indexOf(items, object)
+    if (index == currentIndex || index == currentIndex + 1) return
+    items.splice(currentIndex, 1)
+    if (index > currentIndex) index--
+    object[this.property] = this.#positionAt(items, index)
+  }
+
+  moveBefore(object, reference) {
+    this.move(object, this.#indexOf(this.items, reference))
+  }
+
+  moveAfter(object, reference) {
+    this.move(object, this.#indexOf(this.items, reference) + 1)
+  }
+
+  remove(...objects) {
+    this.objects().remove(...objects)
+  }
+
+  static #checkIndex(index, length, action) {
+    if (!Number.isInteger(index) || index < 0 || index > length) {
+      throw new ValidationError(`Can't ${action} ${index} in a list of length ${length}`)
+    }
+  }
+
+  #indexOf(items, object) {
+    const index = items.findIndex(o=> o.id == object.id)
+    if (index < 0) {
+      throw new ValidationError("The object is not in the list")
+    }
+    return index
+  }
+
+  // A new position between the items at index-1 and index
+  #positionAt(items, index) {
+    const lower = index > 0? items[index-1][this.property] : Logoot.before
+    const upper = Logoot.upperBound(items.map(o=> o[this.property]), index, lower)
+    return Logoot.between(lower, upper)
+  }
+}
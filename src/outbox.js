@@ -0,0 +1,180 @@
+// A durable queue of mutations waiting to be
+// sent to the server. There is at most one entry
+// per object: later mutations to a queued object
+// replace the earlier ones so they are sent as a
+// single write. Entries look like
+//
+//   { id, seq, actor, update: object, original, failed, error: { code, message } }
+//   { id, seq, actor, remove: id,     original, failed, error: { code, message } }
+//
+// where original is the object as it was before the
+// first queued mutation (null for new posts) so that
+// the change can be rolled back if the server rejects it.
+// Transactions are queued as a single entry that holds
+// several of these, which is sent and rolled back as one:
+//
+//   { id: 'batch:...', seq, actor, batch: [entry, ...], failed, error }
+//
+// Entries belong to the actor who made the change,
+// so the queues of several accounts can share an outbox.
+export default class Outbox {
+
+  constructor(name='graffiti-outbox') {
+    this.name = name
+    this.storeNS = 'outbox'
+    this.entries = new Map() // id->entry
+    this.counter = Date.now()
+    this.ready = this.#initialize()
+  }
+
+  async #initialize() {
+    // Fall back to memory if there is no IndexedDB
+    // (for example when running in Node) or it can't
+    // be opened, as when storage is blocked
+    if (!globalThis.indexedDB) return
+
+    let stored
+    try {
+      const { openDB } = await import('https://cdn.jsdelivr.net/npm/idb@7.1.1/+esm')
+      this.db = await openDB(this.name, 1, {
+        upgrade: db=> {
+          db.createObjectStore(this.storeNS, { keyPath: 'id' })
+        }
+      })
+      stored = await this.db.getAll(this.storeNS)
+    } catch (e) {
+      console.error(e)
+      this.db = null
+      return
+    }
+
+    for (const entry of stored) {
+      this.counter = Math.max(this.counter, entry.seq + 1)
+    }
+
+    // Mutations made before loading are newer than
+    // the stored ones, but keep the stored originals
+    const enqueued = [...this.entries.values()]
+    for (const entry of stored) {
+      this.entries.set(entry.id, entry)
+    }
+    for (const entry of enqueued) {
+      const existing = this.entries.get(entry.id)
+      this.#coalesce(existing, entry)
+      entry.seq = this.counter++
+      this.entries.set(entry.id, entry)
+      this.#persist(entry)
+    }
+  }
+
+  // Pending entries in the order they should be sent
+  get pending() {
+    return [...this.entries.values()]
+      .filter(e=> !e.failed)
+      .sort((a, b)=> a.seq - b.seq)
+  }
+
+  get failed() {
+    return [...this.entries.values()].filter(e=> e.failed)
+  }
+
+  // The entry for an object, or else the
+  // latest transaction that includes it
+  get(id) {
+    if (this.entries.has(id)) return this.entries.get(id)
+    return [...this.entries.values()]
+      .filter(e=> e.batch?.some(sub=> sub.id == id))
+      .sort((a, b)=> b.seq - a.seq)[0]
+  }
+
+  // The actor whose changes an entry holds
+  static actorOf(entry) {
+    // Entries stored before the actor was recorded
+    // can only be made by the object's owner
+    if (entry.actor) return entry.actor
+    if (entry.batch) return Outbox.actorOf(entry.batch[0])
+    return (entry.update ?? entry.original)?.actor
+  }
+
+  // Pending entries that can be sent as an actor
+  pendingFor(actor) {
+    return this.pending.filter(e=> Outbox.actorOf(e) == actor)
+  }
+
+  // Pending changes to individual objects,
+  // including those in transactions
+  pendingChanges(actor) {
+    return this.pendingFor(actor).map(e=> e.batch ?? [e]).flat()
+  }
+
+  enqueue(entry) {
+    // Store a plain copy of the object
+    entry = JSON.parse(JSON.stringify(entry))
+    const existing = this.entries.get(entry.id)
+
+    // A post that never reached the server
+    // and is then removed can be forgotten
+    if (existing && !existing.failed && !existing.sending
+        && existing.original === null && 'remove' in entry) {
+      this.delete(entry.id)
+      return null
+    }
+
+    this.#coalesce(existing, entry)
+    entry.seq = this.counter++
+    this.entries.set(entry.id, entry)
+    this.#persist(entry)
+    return entry
+  }
+
+  // Called once the server has accepted an entry
+  sent(entry) {
+    const current = this.entries.get(entry.id)
+    if (current === entry) {
+      this.delete(entry.id)
+    } else if (current && !current.failed) {
+      // It was edited while in flight, so what
+      // was sent is now the server's version
+      current.original = 'update' in entry? entry.update : null
+      this.#persist(current)
+    }
+  }
+
+  // Called when the server has rejected an entry,
+  // returns false if it has since been replaced
+  fail(entry, error) {
+    if (this.entries.get(entry.id) !== entry) return false
+    entry.failed = true
+    entry.error = {
+      code: error?.code ?? 'graffiti',
+      message: error?.message ?? String(error)
+    }
+    this.#persist(entry)
+    return true
+  }
+
+  delete(id) {
+    this.entries.delete(id)
+    this.ready.then(()=> this.db?.delete(this.storeNS, id))
+  }
+
+  #coalesce(existing, entry) {
+    // Keep the original from before
+    // the first unsent mutation
+    if (existing && !existing.failed) {
+      entry.original = existing.original
+    }
+    delete entry.failed
+    delete entry.error
+    delete entry.sending
+  }
+
+  #persist(entry) {
+    this.ready.then(()=> {
+      // Only write the latest version of the entry
+      if (this.entries.get(entry.id) === entry) {
+        this.db?.put(this.storeNS, entry)
+      }
+    })
+  }
+}
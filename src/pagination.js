@@ -0,0 +1,61 @@
+import { ValidationError } from './errors.js'
+
+// Helpers for paging through objects from newest
+// to oldest. Pages are separated by opaque cursors
+// that point just past the last object of a page.
+export default {
+
+  sortFields: ['published', 'updated'],
+
+  validate(sortBy) {
+    if (!this.sortFields.includes(sortBy)) {
+      throw new ValidationError(
+        `Objects can only be sorted by ${this.sortFields.join(' or ')}, not ${sortBy}`)
+    }
+  },
+
+  // Newest first, with ties broken by ID
+  compare(a, b, sortBy) {
+    return compareKeys(key(b, sortBy), key(a, sortBy))
+  },
+
+  cursor(object, sortBy) {
+    return JSON.stringify([sortBy, ...key(object, sortBy)])
+  },
+
+  // Whether an object comes after the
+  // cursor, i.e. it is older
+  after(object, cursor) {
+    const [sortBy, ...cursorKey] = JSON.parse(cursor)
+    return compareKeys(key(object, sortBy), cursorKey) < 0
+  },
+
+  // The cursor of the newest page of several,
+  // or null if there are none
+  newest(cursors) {
+    return cursors.reduce((newest, cursor)=> !newest ||
+      compareKeys(JSON.parse(cursor).slice(1), JSON.parse(newest).slice(1)) > 0?
+        cursor : newest, null)
+  },
+
+  // Take a page of objects, newest first
+  page(objects, { limit, before, sortBy }) {
+    objects = objects
+      .filter(o=> !before || this.after(o, before))
+      .sort((a, b)=> this.compare(a, b, sortBy))
+
+    const page = limit? objects.slice(0, limit) : objects
+    const cursor = page.length < objects.length?
+      this.cursor(page[page.length-1], sortBy) : null
+    return { objects: page, cursor }
+  }
+}
+
+function key(object, sortBy) {
+  return [String(object[sortBy] ?? ''), object.id]
+}
+
+function compareKeys([valueA, idA], [valueB, idB]) {
+  return valueA < valueB? -1 : valueA > valueB?  1 :
+            idA < idB?  -1 :    idA > idB?     1 : 0
+}
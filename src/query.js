@@ -0,0 +1,181 @@
+// Match objects against MongoDB-style queries,
+// like the ones built by logoot.js's query().
+// JSON Schemas can be embedded with $jsonSchema
+// once Ajv has been given to useAjv, which
+// json-schema.js does in the browser. Nothing
+// here is loaded from a CDN so the memory
+// server can also run in Node.
+let ajv = null
+const Query = {
+
+  useAjv(Ajv) {
+    ajv = new Ajv()
+    validators.clear()
+  },
+
+  // Build a query from objects() style options,
+  // or null if they don't filter anything
+  fromOptions({ query, schema, type }={}) {
+    const queries = []
+    if (query) queries.push(query)
+    if (schema) queries.push({ $jsonSchema: schema })
+    if (type) queries.push({ type: Array.isArray(type)? { $in: type } : type })
+    return queries.length > 1? { $and: queries } : queries[0] ?? null
+  },
+
+  // Why an object doesn't match a JSON Schema,
+  // or null if it does
+  schemaErrors(schema, object) {
+    const validate = this.validator(schema)
+    return validate(object)? null : ajv.errorsText(validate.errors, { dataVar: 'object' })
+  },
+
+  // A function that checks an object against
+  // a JSON Schema. Compiling schemas is
+  // slow so they are reused.
+  validator(schema) {
+    if (!ajv) throw new Error("JSON Schemas can't be checked until Ajv is given to Query.useAjv")
+    const key = JSON.stringify(schema)
+    if (!validators.has(key)) {
+      validators.set(key, ajv.compile({ type: 'object', ...schema }))
+    }
+    return validators.get(key)
+  },
+
+  compile(query) {
+    return object=> this.matches(query, object)
+  },
+
+  matches(query, object) {
+    return Object.entries(query).every(([key, condition])=> {
+      if (key in logicalOperators) {
+        return logicalOperators[key](condition, object)
+      } else if (key == '$jsonSchema') {
+        return this.validator(condition)(object)
+      } else if (key.startsWith('$')) {
+        throw new Error(`Unsupported query operator ${key}`)
+      } else {
+        return matchField(resolve(object, key.split('.')), condition)
+      }
+    })
+  },
+
+  // Combine queries so that an object
+  // matching any of them matches
+  or(...queries) {
+    queries = [...new Map(queries.map(q=> [JSON.stringify(q), q])).values()]
+    return queries.length == 1? queries[0] : { $or: queries }
+  }
+}
+export default Query
+
+const logicalOperators = {
+  $and: (conditions, object)=> conditions.every(c=> Query.matches(c, object)),
+  $or:  (conditions, object)=> conditions.some (c=> Query.matches(c, object)),
+  $nor: (conditions, object)=> !conditions.some(c=> Query.matches(c, object)),
+}
+
+// Operators that match if they hold for the value
+// or, if the value is an array, any of its elements
+const elementOperators = {
+  $eq:    (v, c)=> equals(v, c),
+  $gt:    (v, c)=> comparable(v, c) && v >  c,
+  $gte:   (v, c)=> comparable(v, c) && v >= c,
+  $lt:    (v, c)=> comparable(v, c) && v <  c,
+  $lte:   (v, c)=> comparable(v, c) && v <= c,
+  $in:    (v, c)=> c.some(e=> equals(v, e)),
+  $type:  (v, c)=> [c].flat().some(t=> isType(v, t)),
+  $regex: (v, c, condition)=>
+    typeof v == 'string' && new RegExp(c, condition.$options).test(v),
+}
+
+// Operators that look at the values as a whole
+const valueOperators = {
+  $exists:    (values, c)=> (values.length > 0) == c,
+  $size:      (values, c)=> values.some(v=> Array.isArray(v) && v.length == c),
+  $all:       (values, c)=> values.some(v=>
+    Array.isArray(v) && c.every(e=> v.some(x=> equals(x, e)))),
+  $elemMatch: (values, c)=> values.some(v=>
+    Array.isArray(v) && v.some(e=> isOperatorObject(c)?
+      matchField([e], c) : isObject(e) && Query.matches(c, e))),
+  $ne:        (values, c)=> !matchField(values, { $eq: c }),
+  $nin:       (values, c)=> !matchField(values, { $in: c }),
+  $not:       (values, c)=> !matchField(values, c),
+}
+
+function matchField(values, condition) {
+  if (condition instanceof RegExp) {
+    condition = { $regex: condition.source, $options: condition.flags }
+  } else if (!isOperatorObject(condition)) {
+    condition = { $eq: condition }
+  }
+
+  // Arrays match if they or any of their elements do
+  const candidates = values.map(v=> Array.isArray(v)? [v, ...v] : [v]).flat()
+
+  return Object.entries(condition).every(([operator, c])=> {
+    if (operator == '$options') {
+      return true
+    } else if (operator in valueOperators) {
+      return valueOperators[operator](values, c)
+    } else if (operator in elementOperators) {
+      return candidates.some(v=> elementOperators[operator](v, c, condition))
+    } else {
+      throw new Error(`Unsupported query operator ${operator}`)
+    }
+  })
+}
+
+// Follow a dotted path, fanning out across arrays
+function resolve(value, path) {
+  if (!path.length) return value === undefined? [] : [value]
+  if (!isObject(value) && !Array.isArray(value)) return []
+
+  const [property, ...rest] = path
+  if (Array.isArray(value) && !/^\d+$/.test(property)) {
+    return value.map(v=> resolve(v, path)).flat()
+  }
+  return resolve(value[property], rest)
+}
+
+function isType(value, type) {
+  switch (type) {
+    case 'double':
+    case 'decimal':
+    case 'number': return typeof value == 'number'
+    case 'int':
+    case 'long':   return Number.isInteger(value)
+    case 'string': return typeof value == 'string'
+    case 'bool':   return typeof value == 'boolean'
+    case 'array':  return Array.isArray(value)
+    case 'object': return isObject(value)
+    case 'null':   return value === null
+    default:       return false
+  }
+}
+
+function isObject(value) {
+  return typeof value == 'object' && value !== null && !Array.isArray(value)
+}
+
+function isOperatorObject(condition) {
+  return isObject(condition)
+    && Object.keys(condition).length > 0
+    && Object.keys(condition).every(k=> k.startsWith('$'))
+}
+
+function comparable(a, b) {
+  return (typeof a == 'number' && typeof b == 'number')
+      || (typeof a == 'string' && typeof b == 'string')
+}
+
+function equals(a, b) {
+  if (a === b) return true
+  if (typeof a != 'object' || typeof b != 'object' || !a || !b) return false
+  if (Array.isArray(a) != Array.isArray(b)) return false
+  const keys = Object.keys(a)
+  return keys.length == Object.keys(b).length
+    && keys.every(k=> equals(a[k], b[k]))
+}
+
+const validators = new Map() // JSON of schema->validate
@@ -0,0 +1,38 @@
+import Query from './query.js'
+
+// JSON Schemas for the types of objects an app
+// uses, keyed by the objects' type property:
+//
+//   new Schemas({
+//     Note: { properties: { content: { type: 'string' } }, required: ['content'] }
+//   })
+//
+// Objects of a registered type must match its
+// schema. Objects of other types are not checked.
+export default class Schemas {
+
+  constructor(schemas={}) {
+    this.types = new Map() // type->schema
+    Object.entries(schemas).forEach(([type, schema])=> this.register(type, schema))
+  }
+
+  register(type, schema) {
+    if (typeof type != 'string') throw new TypeError("Schema types must be strings")
+    this.types.set(type, schema)
+  }
+
+  unregister(type) {
+    this.types.delete(type)
+  }
+
+  has(type) {
+    return this.types.has(type)
+  }
+
+  // Why an object doesn't match the schema
+  // for its type, or null if it does
+  validate(object) {
+    if (!this.types.has(object?.type)) return null
+    return Query.schemaErrors(this.types.get(object.type), object)
+  }
+}
@@ -0,0 +1,159 @@
+import Logoot from './logoot.js'
+import { ValidationError } from './errors.js'
+
+// A string that several actors can edit at once.
+// Every insertion is an object in the document's
+// context that gives each of its characters a
+// Logoot position:
+//
+//   { type: 'TextInsert', target, chars: 'hi', positions: [[...p, 1], [...p, 2]] }
+//
+// and deletions are tombstones that point at
+// characters by insertion ID and offset, since
+// actors can delete each other's text:
+//
+//   { type: 'TextDelete', target, deletes: [[insertID, offset], ...] }
+//
+// Characters at equal positions are ordered
+// by actor, then insertion ID, then offset.
+export default class SharedText {
+
+  // Edits that have been posted but may not have
+  // reached objects() yet, so that several edits
+  // in a row see each other
+  #posted = new Map() // id->object
+  #cache = null
+
+  // objects is a function that returns the current
+  // GraffitiArray of the document's edit objects
+  constructor(objects, { document }) {
+    this.objects = objects
+    this.document = document
+  }
+
+  static query(document) {
+    return {
+      target: document,
+      type: { $in: ['TextInsert', 'TextDelete'] }
+    }
+  }
+
+  get text() {
+    return this.#characters().visible.map(c=> c.char).join('')
+  }
+
+  get length() {
+    return this.#characters().visible.length
+  }
+
+  insert(index, string) {
+    const chars = [...string]
+    if (!chars.length) return
+    const { visible } = this.#characters()
+    if (index < 0 || index > visible.length) {
+      throw new ValidationError(`Can't insert at ${index} in text of length ${visible.length}`)
+    }
+
+    // The characters extend one new position so that
+    // they stay together when others insert at the same
+    // index, and more can still be inserted among them
+    const lower = index > 0? visible[index-1].position : Logoot.before
+    const upper = Logoot.upperBound(visible.map(c=> c.position), index, lower)
+    const base = Logoot.between(lower, upper)
+    const positions = chars.map((_, k)=> [...base, k+1])
+
+    return this.#post({
+      type: 'TextInsert',
+      target: this.document,
+      chars: chars.join(''),
+      positions
+    })
+  }
+
+  delete(index, length=1) {
+    const { visible } = this.#characters()
+    if (index < 0 || index + length > visible.length) {
+      throw new ValidationError(`Can't delete ${index} to ${index + length} in text of length ${visible.length}`)
+    }
+    if (length <= 0) return
+
+    return this.#post({
+      type: 'TextDelete',
+      target: this.document,
+      deletes: visible.slice(index, index + length).map(c=> [c.id, c.offset])
+    })
+  }
+
+  // A reference to the cursor position before the
+  // character at index that survives other edits
+  anchorAt(index) {
+    const { visible } = this.#characters()
+    if (index >= visible.length) return null // the end
+    const { id, offset } = visible[index]
+    return [id, offset]
+  }
+
+  // The current index of an anchor. If its character
+  // has been deleted this is where it would have been
+  indexOf(anchor) {
+    const { all } = this.#characters()
+    if (!anchor) return this.length
+    const [id, offset] = anchor
+    let index = 0
+    for (const c of all) {
+      if (c.id == id && c.offset == offset) return index
+      if (!c.deleted) index++
+    }
+    return index
+  }
+
+  #post(object) {
+    object.context = [this.document]
+    object = this.objects().post(object)
+    this.#posted.set(object.id, object)
+    this.#cache = null
+    return object
+  }
+
+  #characters() {
+    const objects = this.objects().filter(()=> true)
+    for (const [id, object] of this.#posted) {
+      if (objects.some(o=> o.id == id)) {
+        this.#posted.delete(id)
+      } else {
+        objects.push(object)
+      }
+    }
+
+    // Reuse the last result if nothing has changed
+    const key = objects.map(o=> o.id).sort().join()
+    if (this.#cache?.key == key) return this.#cache
+
+    const deleted = new Set()
+    const all = []
+    for (const object of objects) {
+      if (object.type == 'TextDelete' && Array.isArray(object.deletes)) {
+        object.deletes.forEach(([id, offset])=> deleted.add(id + ' ' + offset))
+      } else if (object.type == 'TextInsert' && typeof object.chars == 'string') {
+        const chars = [...object.chars]
+        if (!Array.isArray(object.positions) || object.positions.length != chars.length) continue
+        chars.forEach((char, offset)=> all.push({
+          char,
+          offset,
+          id: object.id,
+          actor: object.actor,
+          position: object.positions[offset]
+        }))
+      }
+    }
+
+    all.sort((a, b)=> Logoot.compare(a.position, b.position)
+      || (a.actor < b.actor? -1 : a.actor > b.actor? 1 : 0)
+      || (a.id    < b.id?    -1 : a.id    > b.id?    1 : 0)
+      || a.offset - b.offset)
+    all.forEach(c=> c.deleted = deleted.has(c.id + ' ' + c.offset))
+
+    this.#cache = { key, all, visible: all.filter(c=> !c.deleted) }
+    return this.#cache
+  }
+}
@@ -0,0 +1,223 @@
+import { toBase64, fromBase64 } from './base64.js'
+
+// Signatures that let clients check who wrote an object
+// without trusting the server. Each actor has an ECDSA
+// P-256 key pair and publishes the public half in their
+// own context as:
+//
+//   { type: 'PublicKey', purpose: 'signing', publicKey: JWK }
+//
+// A signed object carries a detached signature over the
+// canonical JSON of everything but the signature and bcc,
+// which servers rewrite for each recipient:
+//
+//   { ..., signature: { algorithm: 'ECDSA-P256-SHA256', value } }
+//
+// Each device has its own key pair, so an actor may
+// publish several keys. Keys come from the same server
+// as the objects, so the keys an actor has published when
+// we first look are pinned and used from then on (trust
+// on first use). A key published later is only trusted
+// if its PublicKey object is signed by a trusted key,
+// or once it is pinned with pin().
+export default class Signing {
+
+  static algorithm = 'ECDSA-P256-SHA256'
+  static unsigned = ['signature', 'bcc']
+
+  #keyPair = null
+  #publicKeys = new Map() // actor->Promise<{ keys: [CryptoKey], complete }>
+
+  // graffiti supplies:
+  //   me()                  -> your actor
+  //   loadKeys()            -> stored JWK key pair or null
+  //   storeKeys(jwks)
+  //   lookup(actor)         -> Promise of an actor's PublicKey objects, newest first
+  //   publish(jwk)          -> Promise
+  //   loadPinned(actor)     -> the JWKs pinned for an actor or null
+  //   storePinned(actor, jwks)
+  constructor(graffiti) {
+    this.graffiti = graffiti
+  }
+
+  static isSigned(object) {
+    return typeof object?.signature == 'object' && object.signature !== null
+  }
+
+  // Mark whether an object's signature
+  // has been checked, without sending it on
+  static flag(object, verified) {
+    Object.defineProperty(object, 'verified', { value: verified, configurable: true })
+    return object
+  }
+
+  // JSON with sorted keys, so that the same
+  // object always gives the same string
+  static canonical(value) {
+    if (Array.isArray(value)) {
+      return '[' + value.map(v=> Signing.canonical(v ?? null)).join(',') + ']'
+    } else if (typeof value == 'object' && value !== null) {
+      return '{' + Object.keys(value).sort()
+        .filter(key=> value[key] !== undefined)
+        .map(key=> JSON.stringify(key) + ':' + Signing.canonical(value[key]))
+        .join(',') + '}'
+    } else {
+      return JSON.stringify(value)
+    }
+  }
+
+  static #signedBytes(object) {
+    const signed = { ...object }
+    Signing.unsigned.forEach(field=> delete signed[field])
+    return new TextEncoder().encode(Signing.canonical(signed))
+  }
+
+  // Forget our key pair after switching accounts
+  reset() {
+    this.#keyPair = null
+    this.#publicKeys.clear()
+  }
+
+  // Trust another key for an actor, such as a new one
+  // they have confirmed some other way. Without a key,
+  // their pinned keys are forgotten and the keys they
+  // have published when next looked up are pinned.
+  pin(actor, jwk=null) {
+    this.graffiti.storePinned(actor, jwk? [...this.#pinned(actor), jwk] : null)
+    this.#publicKeys.delete(actor)
+  }
+
+  // Pins from before several keys were kept are single JWKs
+  #pinned(actor) {
+    return [].concat(this.graffiti.loadPinned(actor) ?? [])
+  }
+
+  async keyPair() {
+    if (!this.#keyPair) this.#keyPair = this.#loadKeyPair()
+    return await this.#keyPair
+  }
+
+  async #loadKeyPair() {
+    let jwks = this.graffiti.loadKeys()
+    if (!jwks) {
+      const keyPair = await crypto.subtle.generateKey(
+        { name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify'])
+      jwks = {
+        publicKey:  await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+        privateKey: await crypto.subtle.exportKey('jwk', keyPair.privateKey)
+      }
+      this.graffiti.storeKeys(jwks)
+    }
+    return {
+      jwk: jwks.publicKey,
+      privateKey: await importKey(jwks.privateKey, ['sign'])
+    }
+  }
+
+  // Make sure this device's public key is published
+  async publish() {
+    const { jwk } = await this.keyPair()
+    const published = await this.graffiti.lookup(this.graffiti.me())
+    if (!published.some(object=> sameKey(object.publicKey, jwk))) {
+      await this.graffiti.publish(jwk)
+    }
+  }
+
+  async sign(object) {
+    const { privateKey } = await this.keyPair()
+    const signature = await crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' }, privateKey, Signing.#signedBytes(object))
+    return {
+      ...object,
+      signature: { algorithm: Signing.algorithm, value: toBase64(signature) }
+    }
+  }
+
+  // Whether the object was signed by one of
+  // its actor's trusted keys
+  async verify(object) {
+    try {
+      const cached = this.#publicKeys.has(object.actor)
+      if (await Signing.#signedBy(object, (await this.#keysOf(object.actor)).keys)) return true
+      if (!cached) return false
+      // They may have published a key since we looked
+      this.#publicKeys.delete(object.actor)
+      return await Signing.#signedBy(object, (await this.#keysOf(object.actor)).keys)
+    } catch {
+      return false
+    }
+  }
+
+  static async #signedBy(object, publicKeys) {
+    if (object.signature?.algorithm != Signing.algorithm) return false
+    const signature = fromBase64(object.signature.value)
+    const bytes = Signing.#signedBytes(object)
+    for (const publicKey of publicKeys) {
+      if (await crypto.subtle.verify(
+          { name: 'ECDSA', hash: 'SHA-256' }, publicKey, signature, bytes)) {
+        return true
+      }
+    }
+    return false
+  }
+
+  // Each actor's keys are looked up at most once,
+  // unless the server couldn't be reached
+  #keysOf(actor) {
+    if (!this.#publicKeys.has(actor)) {
+      const publicKeys = this.#findKeys(actor)
+      publicKeys.then(({ complete })=> complete || this.#publicKeys.delete(actor),
+        ()=> this.#publicKeys.delete(actor))
+      this.#publicKeys.set(actor, publicKeys)
+    }
+    return this.#publicKeys.get(actor)
+  }
+
+  async #findKeys(actor) {
+    const trusted = this.#pinned(actor)
+    const own = actor == this.graffiti.me()?
+      this.graffiti.loadKeys()?.publicKey : null
+    if (own && !trusted.some(jwk=> sameKey(jwk, own))) trusted.push(own)
+    const keys = (await Promise.all(trusted.map(jwk=>
+      importKey(jwk, ['verify']).catch(()=> null)))).filter(key=> key)
+
+    let published
+    try {
+      published = await this.graffiti.lookup(actor)
+    } catch (e) {
+      // Make do with the keys we already trust
+      if (!keys.length) throw e
+      return { keys, complete: false }
+    }
+
+    // Trust everything published the first time,
+    // and after that only keys signed by trusted ones
+    const first = !trusted.length
+    let added = true
+    while (added) {
+      added = false
+      for (const object of published) {
+        if (trusted.some(jwk=> sameKey(jwk, object.publicKey))) continue
+        if (!first && !await Signing.#signedBy(object, keys)) continue
+        try {
+          keys.push(await importKey(object.publicKey, ['verify']))
+        } catch {
+          continue
+        }
+        trusted.push(object.publicKey)
+        added = true
+      }
+    }
+    if (trusted.length) this.graffiti.storePinned(actor, trusted)
+    return { keys, complete: true }
+  }
+}
+
+function importKey(jwk, usages) {
+  return crypto.subtle.importKey('jwk', jwk,
+    { name: 'ECDSA', namedCurve: 'P-256' }, true, usages)
+}
+
+function sameKey(a, b) {
+  return a?.x == b?.x && a?.y == b?.y
+}
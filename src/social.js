@@ -0,0 +1,245 @@
+import Query from './query.js'
+import Audience from './audience.js'
+import { NotConnectedError } from './errors.js'
+
+// Replies, reactions and follows. Replies are posted
+// into their parent's ID, which works as a context,
+// and into the ID of the post that starts the thread:
+//
+//   { inReplyTo: parentID, thread: rootID, context: [parentID, rootID], ... }
+//
+// Reactions and follows are posted into what they
+// point at, and follows into the follower too, so
+// both sides can list them:
+//
+//   { type: 'Reaction', object: id, content: '👍', context: [id] }
+//   { type: 'Follow', object: actor, context: [actor, follower] }
+//
+// Anything with an ID can be followed, not just actors.
+// The static functions derive thread trees, tallies
+// and follower lists from arrays of these objects
+// and the instance streams them as they change.
+export default class Social {
+
+  // hooks: { me(), post(object), remove(...objects),
+  // objects(contexts, options), history(contexts, options),
+  // known() -> objects in subscribed contexts }
+  constructor(hooks) {
+    this.hooks = hooks
+  }
+
+  static idOf(target) {
+    return typeof target == 'string'? target : target.id
+  }
+
+  // Each query is combined with any other query
+
+  static threadQuery(root, query) {
+    const threadQuery = { thread: Social.idOf(root), inReplyTo: { $type: 'string' } }
+    return query? { $and: [query, threadQuery] } : threadQuery
+  }
+
+  static reactionQuery(target, query) {
+    const reactionQuery =
+      { type: 'Reaction', object: Social.idOf(target), content: { $type: 'string' } }
+    return query? { $and: [query, reactionQuery] } : reactionQuery
+  }
+
+  static followerQuery(target, query) {
+    const followerQuery = { type: 'Follow', object: Social.idOf(target) }
+    return query? { $and: [query, followerQuery] } : followerQuery
+  }
+
+  // Without an actor, the follows of anyone
+  static followingQuery(actor, query) {
+    const followingQuery = { type: 'Follow', object: { $type: 'string' } }
+    if (actor) followingQuery.actor = actor
+    return query? { $and: [query, followingQuery] } : followingQuery
+  }
+
+  // The replies to root as nested { id, object, replies },
+  // oldest first. Replies whose parent is missing
+  // (removed or not loaded yet) or that are in a
+  // cycle of replies hang off the root.
+  static tree(root, objects) {
+    const top = {
+      id: Social.idOf(root),
+      object: typeof root == 'string'? null : root,
+      replies: []
+    }
+    const nodes = new Map(objects.map(object=>
+      [object.id, { id: object.id, object, replies: [] }]))
+    const sorted = [...nodes.values()].sort((a, b)=>
+      a.object.published < b.object.published? -1 : a.object.published > b.object.published? 1
+        : a.id < b.id? -1 : a.id > b.id? 1 : 0)
+    for (const node of sorted) {
+      const parent = node.object.inReplyTo == top.id? top : nodes.get(node.object.inReplyTo)
+      ;(parent && parent !== node? parent : top).replies.push(node)
+    }
+
+    // Nodes in a cycle can't be reached from the root,
+    // so break each cycle at its oldest node
+    const reached = new Set()
+    const reach = node=> {
+      reached.add(node)
+      node.replies.forEach(reach)
+    }
+    reach(top)
+    for (const node of sorted) {
+      if (reached.has(node)) continue
+      const parent = nodes.get(node.object.inReplyTo)
+      parent.replies.splice(parent.replies.indexOf(node), 1)
+      top.replies.push(node)
+      reach(node)
+    }
+    top.replies.sort((a, b)=> sorted.indexOf(a) - sorted.indexOf(b))
+    return top
+  }
+
+  // content->{ count, actors, mine }, counting
+  // each actor once per content
+  static tally(objects, me) {
+    const tally = {}
+    for (const { content, actor } of objects) {
+      if (typeof content != 'string') continue
+      const entry = tally[content] ??= { count: 0, actors: [], mine: false }
+      if (entry.actors.includes(actor)) continue
+      entry.actors.push(actor)
+      entry.count++
+      if (actor == me) entry.mine = true
+    }
+    return tally
+  }
+
+  // The actors following something
+  static followers(objects) {
+    return [...new Set(objects.map(object=> object.actor))]
+  }
+
+  // What something is following
+  static following(objects) {
+    return [...new Set(objects.map(object=> object.object))]
+  }
+
+  // Post a reply to parent, an object
+  // or the ID of one, and return it
+  reply(parent, object={}) {
+    const parentID = Social.idOf(parent)
+    const thread = typeof parent == 'string'? parentID : parent.thread ?? parentID
+    return this.hooks.post(Object.assign(object, {
+      inReplyTo: parentID,
+      thread,
+      context: [parentID, thread, ...(object.context ?? [])]
+    }))
+  }
+
+  // React to target, unless you already have
+  // with the same content, and resolve to the reaction
+  async react(target, content='👍', object={}) {
+    const id = Social.idOf(target)
+    const [existing] = await this.#mine(id, Social.reactionQuery(id, { content }))
+    if (existing) return existing
+    return this.hooks.post(Object.assign(object, {
+      type: 'Reaction',
+      object: id,
+      content,
+      context: [id, ...(object.context ?? [])]
+    }))
+  }
+
+  // Remove your reactions to target with the
+  // given content, or all of them
+  async unreact(target, content) {
+    const id = Social.idOf(target)
+    const reactions = await this.#mine(id,
+      Social.reactionQuery(id, content === undefined? undefined : { content }))
+    this.hooks.remove(...reactions)
+    return reactions.length
+  }
+
+  async follow(target, object={}) {
+    const id = Social.idOf(target)
+    const [existing] = await this.#mine(id, Social.followerQuery(id))
+    if (existing) return existing
+    return this.hooks.post(Object.assign(object, {
+      type: 'Follow',
+      object: id,
+      context: [id, this.hooks.me(), ...(object.context ?? [])]
+    }))
+  }
+
+  async unfollow(target) {
+    const id = Social.idOf(target)
+    const follows = await this.#mine(id, Social.followerQuery(id))
+    this.hooks.remove(...follows)
+    return follows.length
+  }
+
+  // Live versions of the static functions. Each yields
+  // once to start and then after every change, until
+  // options.signal aborts. Options are as for objects().
+
+  thread(root, options={}) {
+    const id = Social.idOf(root)
+    return this.#derive([id], {
+      ...options,
+      query: Social.threadQuery(id, options.query)
+    }, objects=> Social.tree(root, objects))
+  }
+
+  reactions(target, options={}) {
+    const id = Social.idOf(target)
+    return this.#derive([id], {
+      ...options,
+      query: Social.reactionQuery(id, options.query)
+    }, objects=> Social.tally(objects, this.hooks.me()))
+  }
+
+  followers(target, options={}) {
+    const id = Social.idOf(target)
+    return this.#derive([id], {
+      ...options,
+      query: Social.followerQuery(id, options.query)
+    }, Social.followers)
+  }
+
+  following(actor=this.hooks.me(), options={}) {
+    return this.#derive([actor], {
+      ...options,
+      query: Social.followingQuery(actor, options.query)
+    }, Social.following)
+  }
+
+  async *#derive(contexts, options, derive) {
+    const objects = new Map()
+    yield derive([])
+    for await (const object of this.hooks.objects(contexts, options)) {
+      if (Object.keys(object).length > 1) {
+        objects.set(object.id, object)
+      } else {
+        objects.delete(object.id)
+      }
+      yield derive([...objects.values()])
+    }
+  }
+
+  // Your objects in a context that match a query,
+  // from what is loaded and, if connected, the server
+  async #mine(context, query) {
+    query = { $and: [query, { actor: this.hooks.me() }] }
+    const matches = Query.compile(query)
+    const found = new Map()
+    for (const object of this.hooks.known()) {
+      if (Audience.contexts(object).includes(context) && matches(object)) {
+        found.set(object.id, object)
+      }
+    }
+    try {
+      const { objects } = await this.hooks.history([context], { query, limit: 100 })
+      objects.filter(matches).forEach(object=> found.set(object.id, object))
+    } catch (e) {
+      if (!(e instanceof NotConnectedError)) throw e
+    }
+    return [...found.values()]
+  }
+}
@@ -1,19 +1,28 @@
-import WebTorrent from 'https://cdn.jsdelivr.net/npm/webtorrent@2.0.15/dist/webtorrent.min.js'
-import { openDB } from 'https://cdn.jsdelivr.net/npm/idb@7.1.1/+esm'
-
+// A media backend that shares files with other
+// clients over WebTorrent. Files are only available
+// while someone who has them is online.
+//
+// Files we store or fetch are kept in IndexedDB and
+// seeded again once they are asked for on a later
+// visit. The least recently used
+// are evicted to keep the cache under maxCacheSize
+// bytes and under quotaFraction of the storage quota.
+//
 // Thanks to
 // https://github.com/ThaUnknown/pwa-haven/blob/main/torrent-client/src/modules/client.js
 
 export default class TorrentMedia {
-  constructor() {
-    this.cacheNS = 'torrent-data'
-    this.lockEvents = new EventTarget() 
-
-    this.wt = new WebTorrent()
+  constructor({ maxCacheSize=2**30, quotaFraction=0.5 }={}) {
+    this.name = 'peers'
+    this.cacheNS = 'torrent-data' // infoHash->torrent file
+    this.filesNS = 'torrent-files' // infoHash->Blob
+    this.metaNS = 'torrent-meta' // infoHash->{ infoHash, name, size, lastUsed }
+    this.maxCacheSize = maxCacheSize
+    this.quotaFraction = quotaFraction
+    this.lockEvents = new EventTarget()
 
-    this.urlCache = {}
-    this.urlWaiters = {}
     this.torrentWaiters = {}
+    this.resuming = {} // infoHash->Promise
 
     this._initialized = false
     const { release, wait } = this.#lock()
@@ -22,82 +31,214 @@ export default class TorrentMedia {
   }
 
   async #initialized() {
-    if (this._initialized) return
-    return await this._initializeWaiter
+    if (!this._initialized) await this._initializeWaiter
+    if (this.error) throw this.error
+  }
+
+  static progress(torrent) {
+    return {
+      loaded: torrent.downloaded,
+      total: torrent.length,
+      peers: torrent.numPeers,
+      speed: torrent.downloadSpeed // bytes per second
+    }
   }
 
-  async store(file) {
+  // Resolves to a magnet URI. Aborting
+  // stops seeding the file.
+  async store(file, { signal, onProgress }={}) {
+    signal?.throwIfAborted()
     await this.#initialized()
     const { release, wait } = this.#lock()
-    this.wt.seed(file, this.opts, torrent=> {
-      this.#cache(torrent)
+    const torrent = this.wt.seed(file, this.opts, torrent=> {
+      signal?.removeEventListener('abort', onAbort)
+      this.#cache(torrent, file)
       release(torrent)
     })
-    return (await wait).magnetURI
+    const onAbort = ()=> {
+      this.wt.remove(torrent, { destroyStore: true })
+      release(signal.reason)
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+    const seeded = await wait
+    signal?.throwIfAborted()
+    onProgress?.({ ...TorrentMedia.progress(seeded), loaded: seeded.length })
+    return seeded.magnetURI
   }
 
-  async fetch(torrentReference) {
-    await this.#initialized()
-    const wtf = await this.#fetchTorrentFile(torrentReference)
-    return await wtf.blob()
+  canFetch({ magnet }) {
+    return !!magnet
   }
 
-  async fetchURL(torrentReference) {
-    if (torrentReference in this.urlCache)
-      return this.urlCache[torrentReference]
-
-    if (torrentReference in this.urlWaiters)
-      return await this.urlWaiters[torrentReference]
+  // A file we have all of, without asking peers
+  async cached({ infoHash }) {
+    if (!infoHash) return null
+    await this.#initialized()
+    const torrent = await this.wt.get(infoHash)
+    const file = torrent?.done?
+      await torrent.files[0].blob() : await this.db.get(this.filesNS, infoHash)
+    if (!file) return null
+    this.#touch(infoHash).catch(console.error)
+    this.#resume(infoHash).catch(()=> {})
+    return file
+  }
 
-    // Lock so fetch only happens once
-    const { release, wait } = this.#lock()
-    this.urlWaiters[torrentReference] = wait
+  // Stop seeding a file and forget it
+  async evict({ infoHash }) {
+    if (!infoHash) return
+    await this.#initialized()
+    if (await this.wt.get(infoHash)) {
+      this.wt.remove(infoHash, { destroyStore: true })
+    }
+    const tx = this.db.transaction([this.cacheNS, this.filesNS, this.metaNS], 'readwrite')
+    await Promise.all([
+      tx.objectStore(this.cacheNS).delete(infoHash),
+      tx.objectStore(this.filesNS).delete(infoHash),
+      tx.objectStore(this.metaNS).delete(infoHash),
+      tx.done
+    ])
+  }
 
-    // Get the blob
-    const blob = await this.fetch(torrentReference)
-    const url = URL.createObjectURL(blob)
+  // Stop seeding everything and empty the cache
+  async clear() {
+    await this.#initialized()
+    for (const torrent of [...this.wt.torrents]) {
+      this.wt.remove(torrent, { destroyStore: true })
+    }
+    const tx = this.db.transaction([this.cacheNS, this.filesNS, this.metaNS], 'readwrite')
+    await Promise.all([
+      tx.objectStore(this.cacheNS).clear(),
+      tx.objectStore(this.filesNS).clear(),
+      tx.objectStore(this.metaNS).clear(),
+      tx.done
+    ])
+  }
 
-    // Set and release
-    this.urlCache[torrentReference] = url
-    release(url)
-    delete this.urlWaiters[torrentReference]
-    return url
+  // check(size) throws if the file is too big,
+  // which is known once the torrent's metadata is
+  async fetch({ magnet }, { signal, onProgress, check }={}) {
+    await this.#initialized()
+    const wtf = await this.#fetchTorrentFile(magnet, { signal, onProgress, check })
+    return await wtf.blob()
   }
 
   async #initialize(release) {
-    // A cache of downloaded torrent files
-    this.db = await openDB('graffiti', 1, {
-      upgrade: db=> {
-        db.createObjectStore(this.cacheNS)
-      }
-    })
+    try {
+      // Loaded here so that this file can be imported
+      // where they can't be loaded, such as Node
+      const [{ default: WebTorrent }, { openDB }] = await Promise.all([
+        import('https://cdn.jsdelivr.net/npm/webtorrent@2.0.15/dist/webtorrent.min.js'),
+        import('https://cdn.jsdelivr.net/npm/idb@7.1.1/+esm')
+      ])
+      this.wt = new WebTorrent()
 
-    // Fetch existing torrent from cache and seed
-    const fetches = []
-    for (const hash of await this.db.getAllKeys(this.cacheNS)) {
-      const torrentData = await this.db.get(this.cacheNS, hash)
-      try {
-        await this.#fetchTorrentFile(new Blob([torrentData]))
-      } catch {
-        await this.db.delete(this.cacheNS, hash)
-      }
+      // A cache of downloaded torrent files. Version 1
+      // only kept the torrent files, which are dropped
+      // since their files would have to be fetched again.
+      this.db = await openDB('graffiti', 2, {
+        upgrade: (db, oldVersion, newVersion, tx)=> {
+          if (oldVersion < 1) db.createObjectStore(this.cacheNS)
+          else tx.objectStore(this.cacheNS).clear()
+          db.createObjectStore(this.filesNS)
+          db.createObjectStore(this.metaNS, { keyPath: 'infoHash' })
+            .createIndex('lastUsed', 'lastUsed')
+        }
+      })
+    } catch (e) {
+      // Every use of the backend throws this instead
+      this.error = e
     }
 
     this._initialized = true
     release()
   }
 
-  async #cache(torrent) {
-    await this.db.put(this.cacheNS, torrent.torrentFile, torrent.infoHash)
+  // Seed a cached file again from what is stored
+  #resume(infoHash) {
+    if (!(infoHash in this.resuming)) {
+      this.resuming[infoHash] = (async ()=> {
+        if (await this.wt.get(infoHash)) return
+        const meta = await this.db.get(this.metaNS, infoHash)
+        const file = await this.db.get(this.filesNS, infoHash)
+        if (!file || !meta) throw new Error("The file is not cached")
+        const { release, wait } = this.#lock()
+        this.wt.seed(new File([file], meta.name, { type: file.type }), this.opts, release)
+        const torrent = await wait
+        if (torrent.infoHash == infoHash) return
+        // The file was seeded differently
+        this.wt.remove(torrent, { destroyStore: true })
+        throw new Error("The cached file does not match its torrent")
+      })().finally(()=> delete this.resuming[infoHash])
+    }
+    return this.resuming[infoHash]
+  }
+
+  async #cache(torrent, file) {
+    try {
+      file ??= await torrent.files[0].blob()
+      const meta = {
+        infoHash: torrent.infoHash,
+        name: torrent.files[0].name,
+        size: file.size,
+        lastUsed: Date.now()
+      }
+      for (const retry of [false, true]) {
+        await this.#makeRoom(meta.size, retry)
+        try {
+          const tx = this.db.transaction([this.cacheNS, this.filesNS, this.metaNS], 'readwrite')
+          await Promise.all([
+            tx.objectStore(this.cacheNS).put(torrent.torrentFile, torrent.infoHash),
+            tx.objectStore(this.filesNS).put(file, torrent.infoHash),
+            tx.objectStore(this.metaNS).put(meta),
+            tx.done
+          ])
+          return
+        } catch (e) {
+          if (retry || e?.name != 'QuotaExceededError') throw e
+        }
+      }
+    } catch (e) {
+      console.error(e)
+    }
+  }
+
+  async #touch(infoHash) {
+    const meta = await this.db.get(this.metaNS, infoHash)
+    if (meta) await this.db.put(this.metaNS, { ...meta, lastUsed: Date.now() })
+  }
+
+  // Evict the least recently used files until there is
+  // space for size more bytes, or all of them if the
+  // browser says we're out of space
+  async #makeRoom(size, all=false) {
+    const metas = await this.db.getAllFromIndex(this.metaNS, 'lastUsed')
+    const cached = metas.reduce((total, meta)=> total + meta.size, 0)
+    let spare = this.maxCacheSize - cached - size
+    const estimate = await globalThis.navigator?.storage?.estimate?.()
+    if (estimate?.quota) {
+      spare = Math.min(spare, estimate.quota * this.quotaFraction - estimate.usage - size)
+    }
+    for (const meta of metas) {
+      if (spare >= 0 && !all) break
+      await this.evict(meta)
+      spare += meta.size
+    }
   }
 
-  async #fetchTorrentFile(torrentReference) {
+  async #fetchTorrentFile(torrentReference, { signal, onProgress, check }={}) {
+    signal?.throwIfAborted()
     const cachedTorrent = await this.wt.get(torrentReference)
     if (cachedTorrent) return cachedTorrent.files[0]
 
     if (!(torrentReference in this.torrentWaiters)) {
       const { release, wait } = this.#lock()
-      this.torrentWaiters[torrentReference] = wait
+      const waiter = this.torrentWaiters[torrentReference] =
+        { wait, waiting: 0, listeners: new Set() }
+      const stop = err=> {
+        release(err)
+        delete this.torrentWaiters[torrentReference]
+        this.wt.remove(torrent, { destroyStore: true })
+      }
 
       const torrent = this.wt.add(torrentReference, this.opts, torrent=> {
         this.#cache(torrent)
@@ -105,13 +246,45 @@ export default class TorrentMedia {
         delete this.torrentWaiters[torrentReference]
       })
 
-      torrent.once('error', err=> {
-        release(err)
-        delete this.torrentWaiters[torrentReference]
+      torrent.once('metadata', ()=> {
+        try {
+          check?.(torrent.length)
+        } catch (e) {
+          stop(e)
+        }
       })
+      const progress = ()=> waiter.listeners.forEach(
+        listener=> listener(TorrentMedia.progress(torrent)))
+      torrent.on('download', progress)
+      torrent.on('wire', progress)
+      torrent.once('error', stop)
     }
 
-    const result = await this.torrentWaiters[torrentReference]
+    // Stop looking for peers once
+    // everyone waiting has given up
+    const waiter = this.torrentWaiters[torrentReference]
+    waiter.waiting++
+    if (onProgress) waiter.listeners.add(onProgress)
+    const result = await new Promise((resolve, reject)=> {
+      const onAbort = ()=> {
+        waiter.listeners.delete(onProgress)
+        if (!--waiter.waiting && this.torrentWaiters[torrentReference] === waiter) {
+          delete this.torrentWaiters[torrentReference]
+          this.wt.remove(torrentReference, { destroyStore: true })
+        }
+        reject(signal.reason)
+      }
+      if (signal?.aborted) return onAbort()
+      signal?.addEventListener('abort', onAbort, { once: true })
+      waiter.wait.then(result=> {
+        // Already counted out by onAbort
+        if (signal?.aborted) return
+        signal?.removeEventListener('abort', onAbort)
+        waiter.listeners.delete(onProgress)
+        waiter.waiting--
+        resolve(result)
+      })
+    })
     if (result instanceof Error) {
       throw result
     } else {
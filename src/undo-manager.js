@@ -0,0 +1,91 @@
+import Merge from './merge.js'
+
+// Undo and redo your own changes. Each step is a
+// post, removal or edit, or everything changed in one
+// transaction. Steps are reverted by writing the earlier
+// versions back through the normal sync path, merged
+// with any changes that others have made since.
+export default class UndoManager {
+
+  #applying = false
+
+  // graffiti supplies the events to listen to for local
+  // changes and the functions to make changes with
+  constructor(graffiti, { limit=100 }={}) {
+    this.graffiti = graffiti
+    this.limit = limit
+    this.undoStack = []
+    this.redoStack = []
+    this.events = new EventTarget()
+
+    this.listener = ({ changes })=> {
+      if (this.#applying) return
+      this.undoStack.push(changes)
+      if (this.undoStack.length > this.limit) this.undoStack.shift()
+      this.redoStack = []
+      this.#dispatchChange()
+    }
+    graffiti.events.addEventListener("localchange", this.listener)
+  }
+
+  get canUndo() { return this.undoStack.length > 0 }
+  get canRedo() { return this.redoStack.length > 0 }
+
+  async undo() {
+    const step = this.undoStack.pop()
+    if (!step) return false
+    await this.#apply([...step].reverse().map(({ id, before, after })=>
+      ({ id, from: after, to: before })))
+    this.redoStack.push(step)
+    this.#dispatchChange()
+    return true
+  }
+
+  async redo() {
+    const step = this.redoStack.pop()
+    if (!step) return false
+    await this.#apply(step.map(({ id, before, after })=>
+      ({ id, from: before, to: after })))
+    this.undoStack.push(step)
+    this.#dispatchChange()
+    return true
+  }
+
+  clear() {
+    this.undoStack = []
+    this.redoStack = []
+    this.#dispatchChange()
+  }
+
+  // Stop listening for changes
+  close() {
+    this.graffiti.events.removeEventListener("localchange", this.listener)
+  }
+
+  async #apply(changes) {
+    this.#applying = true
+    try {
+      await this.graffiti.transaction(()=> changes.forEach(c=> this.#revert(c)))
+    } finally {
+      this.#applying = false
+    }
+  }
+
+  // Take an object from one version to another
+  #revert({ id, from, to }) {
+    const current = this.graffiti.current(id)
+    if (!to) {
+      if (current) this.graffiti.remove(id)
+    } else if (!from) {
+      if (!current) this.graffiti.restore(to)
+    } else if (current) {
+      // Someone may have changed it since
+      const { merged } = Merge.threeWay(from, to, current)
+      if (!Merge.equals(merged, current)) this.graffiti.restore(merged)
+    }
+  }
+
+  #dispatchChange() {
+    this.events.dispatchEvent(new Event("change"))
+  }
+}
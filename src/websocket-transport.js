@@ -0,0 +1,87 @@
+import Auth from './auth.js'
+
+// A transport carries protocol messages between
+// the client and a graffiti server. It must provide:
+//
+//   authorize()  -> Promise<{ myActor, token, expires, loginError? }>
+//   connect({ onOpen, onMessage, onClose })
+//   send(message)
+//   close()
+//   logIn(), logOut()
+//
+// and may provide refresh() -> Promise<{ myActor, token, expires }>
+// to renew credentials that expire, and accounts() -> [actor]
+// with switchAccount(actor) to hold several logged in actors.
+// After logOut or switchAccount, authorize gives the new actor.
+// A loginError says that a login just failed.
+//
+// onMessage is called with each parsed message
+// and send is called with a message object.
+export default class WebSocketTransport {
+
+  // Clients with different namespaces keep
+  // separate logins in the same browser
+  constructor(url, { namespace='graffiti' }={}) {
+    this.url = url
+    this.namespace = namespace
+  }
+
+  async authorize() {
+    return this.#useToken(await Auth.connect(this.url, this.namespace))
+  }
+
+  // The new token is used from the next connection
+  async refresh() {
+    return this.#useToken(await Auth.refresh(this.url, this.namespace))
+  }
+
+  #useToken(authParams) {
+    // Rewrite the URL
+    this.wsURL = new URL(this.url)
+    this.wsURL.host = "app." + this.wsURL.host
+    if (this.wsURL.protocol == 'https:') {
+      this.wsURL.protocol = 'wss:'
+    } else {
+      this.wsURL.protocol = 'ws:'
+    }
+    if (authParams.token) {
+      this.wsURL.searchParams.set("token", authParams.token)
+    }
+
+    return authParams
+  }
+
+  connect({ onOpen, onMessage, onClose }) {
+    this.ws = new WebSocket(this.wsURL)
+    this.ws.onmessage = event=> onMessage(JSON.parse(event.data))
+    this.ws.onclose   = onClose
+    this.ws.onopen    = onOpen
+  }
+
+  send(message) {
+    this.ws.send(JSON.stringify(message))
+  }
+
+  close() {
+    this.ws?.close()
+  }
+
+  // With { popup: true } this resolves to the
+  // new credentials instead of leaving the page
+  async logIn(options) {
+    const authParams = await Auth.logIn(this.url, { ...options, namespace: this.namespace })
+    return authParams && this.#useToken(authParams)
+  }
+
+  logOut() {
+    Auth.logOut(this.namespace)
+  }
+
+  accounts() {
+    return Auth.accounts(this.namespace)
+  }
+
+  switchAccount(actor) {
+    Auth.switchAccount(actor, this.namespace)
+  }
+}
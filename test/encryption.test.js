@@ -0,0 +1,62 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryServer } from '../graffiti.js'
+import { client, collect, until } from './helpers.js'
+
+const alice = 'graffitiactor://alice'
+const bob = 'graffitiactor://bob'
+
+function keys(server, actor, purpose) {
+  return Object.values(server.objects).filter(object=>
+    object.type == 'PublicKey' && object.purpose == purpose && object.actor == actor)
+}
+
+test('objects are encrypted to the devices a recipient has vouched for', async ()=> {
+  const server = new MemoryServer()
+  const sender = client(server, alice, { encryption: true, namespace: 'alice' })
+  const phone = client(server, bob, { encryption: true, namespace: 'phone' })
+  let laptop, later
+  const controller = new AbortController()
+  try {
+    const phoneSees = collect(phone, ['chat'], controller.signal)
+    await until(()=> sender.open && phone.open && keys(server, bob, 'encryption').length == 1
+      && keys(server, alice, 'encryption').length == 1)
+
+    const first = sender.post({ context: ['chat'], content: 'one', encryptTo: [bob] })
+    await until(()=> phoneSees.has(first.id))
+    assert.equal(phoneSees.get(first.id).content, 'one')
+    assert.equal(server.objects[first.id].content, undefined)
+
+    // A new device's keys, or keys the server makes up,
+    // aren't signed by a key alice trusts for bob
+    laptop = client(server, bob, { encryption: true, namespace: 'laptop' })
+    const laptopSees = collect(laptop, ['chat'], controller.signal)
+    await until(()=> laptop.open && keys(server, bob, 'encryption').length == 2
+      && keys(server, bob, 'signing').length == 2)
+    const second = sender.post({ context: ['chat'], content: 'two', encryptTo: [bob] })
+    await until(()=> laptopSees.has(second.id) && phoneSees.has(second.id))
+    assert.equal(server.objects[second.id].encrypted.keys[bob].length, 1)
+    assert.equal(phoneSees.get(second.id).content, 'two')
+    assert.ok(laptopSees.get(second.id).encryptionError)
+
+    // Once bob's phone vouches for the laptop,
+    // both of his devices can read what alice sends
+    const { jwk } = await laptop.signatures.keyPair()
+    phone.post({ type: 'PublicKey', purpose: 'signing', publicKey: jwk, context: [bob] })
+    await until(()=> keys(server, bob, 'signing').length == 3)
+    sender.close()
+    later = client(server, alice, { encryption: true, namespace: 'alice' })
+    await until(()=> later.open)
+    const third = later.post({ context: ['chat'], content: 'three', encryptTo: [bob] })
+    await until(()=> laptopSees.has(third.id) && phoneSees.has(third.id))
+    assert.equal(server.objects[third.id].encrypted.keys[bob].length, 2)
+    assert.equal(laptopSees.get(third.id).content, 'three')
+    assert.equal(phoneSees.get(third.id).content, 'three')
+  } finally {
+    controller.abort()
+    sender.close()
+    later?.close()
+    phone.close()
+    laptop?.close()
+  }
+})
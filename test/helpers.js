@@ -0,0 +1,30 @@
+import Graffiti, { MemoryTransport } from '../graffiti.js'
+
+// Several clients in one process, sharing an in-memory server
+
+export function client(server, actor, options={}) {
+  return new Graffiti({ transport: new MemoryTransport(server, actor), namespace: actor, ...options })
+}
+
+// Collect what objects() streams until the signal aborts
+export function collect(graffiti, contexts, signal) {
+  const objects = new Map()
+  ;(async ()=> {
+    for await (const object of graffiti.objects(contexts, signal)) {
+      if (Object.keys(object).length > 1) {
+        objects.set(object.id, object)
+      } else {
+        objects.delete(object.id)
+      }
+    }
+  })()
+  return objects
+}
+
+export async function until(condition, timeout=2000) {
+  const start = Date.now()
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error("Timed out waiting")
+    await new Promise(resolve=> setTimeout(resolve, 10))
+  }
+}
@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryServer } from '../graffiti.js'
+import { client, until } from './helpers.js'
+
+async function fivePosts(t) {
+  const server = new MemoryServer()
+  const alice = client(server, 'graffitiactor://alice')
+  const bob = client(server, 'graffitiactor://bob')
+  t.after(()=> {
+    alice.close()
+    bob.close()
+  })
+  await until(()=> alice.open && bob.open)
+  const posted = []
+  for (let i = 0; i < 5; i++) {
+    posted.push(alice.post({ context: ['room'], content: i }))
+    // Distinct publish times, to check the order
+    await new Promise(resolve=> setTimeout(resolve, 2))
+  }
+  await until(()=> posted.every(object=> alice.status(object) == 'synced'))
+  return { bob, newestFirst: posted.map(object=> object.id).reverse() }
+}
+
+test('history pages from newest to oldest with cursors', async t=> {
+  const { bob, newestFirst } = await fivePosts(t)
+
+  const pages = []
+  let before
+  do {
+    const page = await bob.history(['room'], { limit: 2, before })
+    pages.push(page.objects.map(object=> object.id))
+    before = page.cursor
+  } while (before)
+
+  assert.deepEqual(pages.map(page=> page.length), [2, 2, 1])
+  assert.deepEqual(pages.flat(), newestFirst)
+})
+
+test('older objects are paged from where a limited subscription left off', async t=> {
+  const { bob, newestFirst } = await fivePosts(t)
+
+  const controller = new AbortController()
+  t.after(()=> controller.abort())
+  const seen = []
+  let cursor
+  ;(async ()=> {
+    for await (const object of bob.objects(['room'],
+        { limit: 2, signal: controller.signal, onCursor: c=> cursor ??= c })) {
+      seen.push(object.id)
+    }
+  })()
+  await until(()=> cursor !== undefined)
+  assert.deepEqual(new Set(seen), new Set(newestFirst.slice(0, 2)))
+
+  const { objects, cursor: last } = await bob.history(['room'], { limit: 10, before: cursor })
+  assert.deepEqual(objects.map(object=> object.id), newestFirst.slice(2))
+  assert.equal(last, null)
+})
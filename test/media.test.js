@@ -0,0 +1,46 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import Media from '../src/media.js'
+import TorrentMedia from '../src/torrent-media.js'
+import HTTPMedia from '../src/http-media.js'
+
+// A content addressed store like scripts/media-server.mjs
+async function mediaServer() {
+  const files = new Map()
+  const server = http.createServer((request, response)=> {
+    const chunks = []
+    request.on('data', chunk=> chunks.push(chunk))
+    request.on('end', ()=> {
+      if (request.method == 'PUT') {
+        files.set(request.url, { type: request.headers['content-type'], body: Buffer.concat(chunks) })
+        response.end()
+      } else if (files.has(request.url)) {
+        const { type, body } = files.get(request.url)
+        response.setHeader('Content-Type', type)
+        response.end(body)
+      } else {
+        response.statusCode = 404
+        response.end()
+      }
+    })
+  })
+  await new Promise(resolve=> server.listen(0, '127.0.0.1', resolve))
+  return { server, url: `http://127.0.0.1:${server.address().port}` }
+}
+
+test("magnets are fetched over HTTP when WebTorrent can't load", async t=> {
+  t.mock.method(console, 'error', ()=> {})
+  const { server, url } = await mediaServer()
+  try {
+    const media = new Media({ backends: [new TorrentMedia(), new HTTPMedia(url)] })
+    const file = new Blob(['hello'], { type: 'text/plain' })
+    const source = await media.backends[1].store(file)
+    const magnet = 'magnet:?xt=urn:btih:' + '0'.repeat(40) + '&ws=' + encodeURIComponent(source)
+
+    const fetched = await media.fetch(magnet)
+    assert.equal(await fetched.text(), 'hello')
+  } finally {
+    server.close()
+  }
+})
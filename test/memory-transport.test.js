@@ -0,0 +1,156 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryServer, AuthorizationError } from '../graffiti.js'
+import { client, collect, until } from './helpers.js'
+
+test('objects posted by one client reach another', async ()=> {
+  const server = new MemoryServer()
+  const alice = client(server, 'graffitiactor://alice')
+  const bob = client(server, 'graffitiactor://bob')
+  const controller = new AbortController()
+  try {
+    const seen = collect(bob, ['room'], controller.signal)
+    await until(()=> alice.open && bob.open)
+
+    const posted = alice.post({ context: ['room'], content: 'hello' })
+    await until(()=> seen.has(posted.id))
+    assert.equal(seen.get(posted.id).content, 'hello')
+    assert.equal(seen.get(posted.id).actor, 'graffitiactor://alice')
+
+    alice.remove(posted)
+    await until(()=> !seen.has(posted.id))
+  } finally {
+    controller.abort()
+    alice.close()
+    bob.close()
+  }
+})
+
+test('private objects only reach their audience', async ()=> {
+  const server = new MemoryServer()
+  const alice = client(server, 'graffitiactor://alice')
+  const bob = client(server, 'graffitiactor://bob')
+  const carol = client(server, 'graffitiactor://carol')
+  const controller = new AbortController()
+  try {
+    const bobSees = collect(bob, ['room'], controller.signal)
+    const carolSees = collect(carol, ['room'], controller.signal)
+    await until(()=> alice.open && bob.open && carol.open)
+
+    const secret = alice.post({ context: ['room'], content: 'secret', bto: ['graffitiactor://bob'] })
+    const open = alice.post({ context: ['room'], content: 'open' })
+    await until(()=> bobSees.has(open.id) && carolSees.has(open.id))
+    assert.ok(bobSees.has(secret.id))
+    assert.ok(!carolSees.has(secret.id))
+  } finally {
+    controller.abort()
+    alice.close()
+    bob.close()
+    carol.close()
+  }
+})
+
+test("removing an object you can't see is not found", async ()=> {
+  const server = new MemoryServer()
+  const alice = client(server, 'graffitiactor://alice')
+  try {
+    await until(()=> alice.open)
+    const secret = alice.post({ context: ['room'], bto: ['graffitiactor://bob'] })
+    await until(()=> secret.id in server.objects)
+
+    const replies = []
+    const connections = ['graffitiactor://carol', 'graffitiactor://bob'].map(actor=> {
+      const connection = server.connect(actor, {
+        onOpen: ()=> {}, onClose: ()=> {}, onMessage: message=> replies.push(message)
+      })
+      server.receive(connection, { messageID: actor, remove: secret.id })
+      return connection
+    })
+    await until(()=> replies.length == 2)
+    connections.forEach(connection=> connection.close())
+    assert.equal(replies.find(r=> r.messageID == 'graffitiactor://carol').error, 'not found')
+    assert.equal(replies.find(r=> r.messageID == 'graffitiactor://bob').error, 'authorization')
+  } finally {
+    alice.close()
+  }
+})
+
+test("clients keep working when IndexedDB can't be opened", async t=> {
+  t.mock.method(console, 'error', ()=> {})
+  const server = new MemoryServer()
+  globalThis.indexedDB = {}
+  let alice, bob
+  try {
+    alice = client(server, 'graffitiactor://alice')
+    bob = client(server, 'graffitiactor://bob')
+  } finally {
+    delete globalThis.indexedDB
+  }
+  const controller = new AbortController()
+  try {
+    const seen = collect(bob, ['room'], controller.signal)
+    await until(()=> alice.open && bob.open)
+
+    const posted = alice.post({ context: ['room'], content: 'hello' })
+    await until(()=> seen.has(posted.id))
+    await until(()=> alice.status(posted) == 'synced')
+  } finally {
+    controller.abort()
+    alice.close()
+    bob.close()
+  }
+})
+
+test("other actors' objects can't be removed or edited", async ()=> {
+  const server = new MemoryServer()
+  const alice = client(server, 'graffitiactor://alice')
+  const bob = client(server, 'graffitiactor://bob')
+  const controller = new AbortController()
+  try {
+    const aliceSees = collect(alice, ['room'], controller.signal)
+    await until(()=> alice.open && bob.open)
+
+    const posted = bob.post({ context: ['room'], content: 'hi' })
+    await until(()=> aliceSees.has(posted.id))
+    const theirs = aliceSees.get(posted.id)
+    assert.throws(()=> alice.remove(theirs), AuthorizationError)
+    assert.throws(()=> { theirs.content = 'changed' }, AuthorizationError)
+    assert.equal(alice.status(theirs), 'synced')
+
+    // Later edits still arrive
+    posted.content = 'edited'
+    await until(()=> aliceSees.get(posted.id).content == 'edited')
+  } finally {
+    controller.abort()
+    alice.close()
+    bob.close()
+  }
+})
+
+test('leaving a context keeps objects still in your inbox', async ()=> {
+  const server = new MemoryServer()
+  const alice = client(server, 'graffitiactor://alice')
+  const bob = client(server, 'graffitiactor://bob')
+  try {
+    await until(()=> alice.open && bob.open)
+    const secret = alice.post({ context: ['room'], bto: ['graffitiactor://bob'] })
+    await until(()=> secret.id in server.objects)
+
+    const inbox = new AbortController()
+    const inInbox = collect(bob, ['graffitiactor://bob'], inbox.signal)
+    const room = new AbortController()
+    const inRoom = collect(bob, ['room'], room.signal)
+    await until(()=> inInbox.has(secret.id) && inRoom.has(secret.id))
+    room.abort()
+    await new Promise(resolve=> setTimeout(resolve, 50))
+
+    const again = new AbortController()
+    const inInboxAgain = collect(bob, ['graffitiactor://bob'], again.signal)
+    await until(()=> inInboxAgain.has(secret.id))
+    inbox.abort()
+    again.abort()
+  } finally {
+    alice.close()
+    bob.close()
+  }
+})
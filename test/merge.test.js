@@ -0,0 +1,69 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryServer } from '../graffiti.js'
+import { client, collect, until } from './helpers.js'
+
+const alice = 'graffitiactor://alice'
+
+// Two devices of the same actor that edit
+// an object while the server is down
+async function editOffline(t, server, edit) {
+  const phone = client(server, alice, { namespace: 'phone' })
+  const laptop = client(server, alice, { namespace: 'laptop' })
+  const controller = new AbortController()
+  t.after(()=> {
+    controller.abort()
+    phone.close()
+    laptop.close()
+  })
+  const phoneSees = collect(phone, ['room'], controller.signal)
+  const laptopSees = collect(laptop, ['room'], controller.signal)
+  await until(()=> phone.open && laptop.open)
+
+  const posted = phone.post({ context: ['room'], title: 'draft', content: 'hello' })
+  await until(()=> laptopSees.has(posted.id) && phone.status(posted) == 'synced')
+
+  server.stop()
+  await until(()=> !phone.open && !laptop.open)
+  edit(phoneSees.get(posted.id), laptopSees.get(posted.id), [phone, laptop])
+  server.start()
+
+  return { phoneSees, laptopSees, posted }
+}
+
+test('concurrent edits to different fields are merged', async t=> {
+  const server = new MemoryServer()
+  const { phoneSees, laptopSees, posted } = await editOffline(t, server, (onPhone, onLaptop)=> {
+    onPhone.title = 'final'
+    onLaptop.content = 'hello world'
+  })
+
+  await until(()=> server.objects[posted.id].title == 'final'
+    && server.objects[posted.id].content == 'hello world', 10000)
+  for (const seen of [phoneSees, laptopSees]) {
+    await until(()=> seen.get(posted.id).title == 'final'
+      && seen.get(posted.id).content == 'hello world')
+  }
+})
+
+test('concurrent edits to the same field are reported and keep the first', async t=> {
+  const server = new MemoryServer()
+  const conflicts = []
+  const { phoneSees, laptopSees, posted } = await editOffline(t, server, (onPhone, onLaptop, devices)=> {
+    for (const device of devices) {
+      device.events.addEventListener('conflict', e=> conflicts.push(e.conflict))
+    }
+    onPhone.content = 'from the phone'
+    onLaptop.content = 'from the laptop'
+  })
+
+  await until(()=> conflicts.length == 1, 10000)
+  const [conflict] = conflicts
+  assert.deepEqual(conflict.conflicts, ['content'])
+  const kept = conflict.remote.content
+  assert.ok(['from the phone', 'from the laptop'].includes(kept))
+  assert.equal(conflict.merged.content, kept)
+  await until(()=> phoneSees.get(posted.id).content == kept
+    && laptopSees.get(posted.id).content == kept)
+  assert.equal(server.objects[posted.id].content, kept)
+})
@@ -0,0 +1,36 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryServer, AuthorizationError, ValidationError } from '../graffiti.js'
+import { client, until } from './helpers.js'
+
+test('lists edited on two clients at once end up in the same order', async t=> {
+  const server = new MemoryServer()
+  const alice = client(server, 'graffitiactor://alice')
+  const bob = client(server, 'graffitiactor://bob')
+  const controller = new AbortController()
+  t.after(()=> {
+    controller.abort()
+    alice.close()
+    bob.close()
+  })
+  const aliceList = alice.orderedList(['list'], { signal: controller.signal })
+  const bobList = bob.orderedList(['list'], { signal: controller.signal })
+  const names = list=> list.items.map(item=> item.name).join(' ')
+  await until(()=> alice.open && bob.open)
+
+  for (const name of ['a', 'b', 'c']) aliceList.push({ name })
+  await until(()=> names(bobList) == 'a b c')
+
+  aliceList.insert({ name: 'x' }, 1)
+  bobList.insert({ name: 'y' }, 1)
+  await until(()=> aliceList.items.length == 5 && bobList.items.length == 5)
+  assert.equal(names(aliceList), names(bobList))
+  assert.match(names(aliceList), /^a [xy] [xy] b c$/)
+
+  // Your own items can be moved, other people's can't
+  aliceList.move(aliceList.items.find(item=> item.name == 'a'), 5)
+  await until(()=> names(bobList).endsWith('c a'))
+  assert.throws(()=> bobList.move(bobList.items.find(item=> item.name == 'b'), 0), AuthorizationError)
+  assert.throws(()=> aliceList.insert({ name: 'z' }, 6), ValidationError)
+  assert.throws(()=> aliceList.insert({ name: 'z' }, -1), ValidationError)
+})
@@ -0,0 +1,48 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryServer } from '../graffiti.js'
+import { client, collect, until } from './helpers.js'
+
+test('changes made while the server is down are sent once it is back', async ()=> {
+  const server = new MemoryServer()
+  const alice = client(server, 'graffitiactor://alice')
+  const bob = client(server, 'graffitiactor://bob')
+  const controller = new AbortController()
+  try {
+    const seen = collect(bob, ['room'], controller.signal)
+    await until(()=> alice.open && bob.open)
+
+    server.stop()
+    await until(()=> !alice.open)
+    const posted = alice.post({ context: ['room'], content: 'queued' })
+    assert.equal(alice.status(posted), 'pending')
+
+    server.start()
+    await until(()=> seen.has(posted.id), 10000)
+    await until(()=> alice.status(posted) == 'synced')
+  } finally {
+    controller.abort()
+    alice.close()
+    bob.close()
+  }
+})
+
+test('a post removed before it was sent is never sent', async t=> {
+  const server = new MemoryServer()
+  const alice = client(server, 'graffitiactor://alice')
+  t.after(()=> alice.close())
+  await until(()=> alice.open)
+
+  server.stop()
+  await until(()=> !alice.open)
+  const posted = alice.post({ context: ['room'], content: 'never mind' })
+  const kept = alice.post({ context: ['room'], content: 'kept' })
+  alice.remove(posted)
+  assert.equal(alice.status(posted), 'synced')
+  assert.equal(alice.outbox.pending.length, 1)
+
+  server.start()
+  await until(()=> alice.status(kept) == 'synced', 10000)
+  assert.ok(!(posted.id in server.objects))
+  assert.equal(server.objects[kept.id].content, 'kept')
+})
@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryServer, Query } from '../graffiti.js'
+import { client, collect, until } from './helpers.js'
+
+const photo = {
+  type: 'Note',
+  tags: ['cats', 'dogs'],
+  author: { name: 'alice', links: [{ rel: 'home', href: 'https://alice.example' }] },
+  sizes: [{ width: 100, height: 50 }, { width: 800, height: 400 }]
+}
+
+test('dotted paths reach into nested objects and arrays', ()=> {
+  assert.ok(Query.matches({ 'author.name': 'alice' }, photo))
+  assert.ok(Query.matches({ 'author.links.rel': 'home' }, photo))
+  assert.ok(Query.matches({ 'sizes.1.width': 800 }, photo))
+  assert.ok(Query.matches({ 'sizes.width': { $gt: 500 } }, photo))
+  assert.ok(!Query.matches({ 'sizes.0.width': { $gt: 500 } }, photo))
+  assert.ok(!Query.matches({ 'author.email': { $exists: true } }, photo))
+  assert.ok(Query.matches({ tags: 'cats' }, photo))
+})
+
+test('$elemMatch needs one element to match every condition', ()=> {
+  assert.ok(Query.matches({ sizes: { $elemMatch: { width: { $gt: 500 }, height: 400 } } }, photo))
+  assert.ok(!Query.matches({ sizes: { $elemMatch: { width: 100, height: 400 } } }, photo))
+  // Unlike separate conditions, which any elements can meet
+  assert.ok(Query.matches({ 'sizes.width': 100, 'sizes.height': 400 }, photo))
+})
+
+test('$not negates a condition, including on missing fields', ()=> {
+  assert.ok(Query.matches({ tags: { $not: { $in: ['birds'] } } }, photo))
+  assert.ok(!Query.matches({ tags: { $not: { $in: ['dogs'] } } }, photo))
+  assert.ok(Query.matches({ 'author.email': { $not: { $type: 'string' } } }, photo))
+  assert.ok(Query.matches({ type: { $not: /^Art/ } }, photo))
+})
+
+test('unknown operators are refused', ()=> {
+  assert.throws(()=> Query.matches({ $where: 'true' }, photo))
+})
+
+test('subscriptions only deliver objects matching their query', async t=> {
+  const server = new MemoryServer()
+  const alice = client(server, 'graffitiactor://alice')
+  const bob = client(server, 'graffitiactor://bob')
+  const controller = new AbortController()
+  t.after(()=> {
+    controller.abort()
+    alice.close()
+    bob.close()
+  })
+  const seen = new Map()
+  ;(async ()=> {
+    const query = { 'sizes.width': { $gte: 500 }, tags: { $not: { $in: ['private'] } } }
+    for await (const object of bob.objects(['room'], { query, signal: controller.signal })) {
+      if (Object.keys(object).length > 1) seen.set(object.id, object)
+    }
+  })()
+  const everything = collect(bob, ['room'], controller.signal)
+  await until(()=> alice.open && bob.open)
+
+  const big = alice.post({ context: ['room'], sizes: [{ width: 800 }], tags: [] })
+  const small = alice.post({ context: ['room'], sizes: [{ width: 100 }], tags: [] })
+  const hidden = alice.post({ context: ['room'], sizes: [{ width: 800 }], tags: ['private'] })
+  await until(()=> [big, small, hidden].every(object=> everything.has(object.id)))
+  assert.deepEqual([...seen.keys()], [big.id])
+})
@@ -0,0 +1,35 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryServer } from '../graffiti.js'
+import { client, until } from './helpers.js'
+
+test('text typed at the same place at once stays together', async ()=> {
+  const server = new MemoryServer()
+  const alice = client(server, 'graffitiactor://alice')
+  const bob = client(server, 'graffitiactor://bob')
+  const controller = new AbortController()
+  try {
+    const aliceText = alice.sharedText('doc', { signal: controller.signal })
+    const bobText = bob.sharedText('doc', { signal: controller.signal })
+    await until(()=> alice.open && bob.open)
+
+    aliceText.insert(0, 'hello')
+    await until(()=> bobText.text == 'hello')
+
+    aliceText.insert(5, ' world')
+    bobText.insert(5, '!!')
+    await until(()=> aliceText.length == 13 && bobText.length == 13)
+    assert.equal(aliceText.text, bobText.text)
+    assert.ok(['hello world!!', 'hello!! world'].includes(aliceText.text), aliceText.text)
+
+    // Text can still be put inside an insertion
+    bobText.insert(6, 'big ')
+    await until(()=> aliceText.length == 17)
+    assert.ok(aliceText.text.includes('big '), aliceText.text)
+    assert.equal(aliceText.text, bobText.text)
+  } finally {
+    controller.abort()
+    alice.close()
+    bob.close()
+  }
+})
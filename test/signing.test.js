@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryServer } from '../graffiti.js'
+import { client, collect, until } from './helpers.js'
+
+const alice = 'graffitiactor://alice'
+
+function signingKeys(server) {
+  return Object.values(server.objects).filter(object=>
+    object.type == 'PublicKey' && object.purpose == 'signing' && object.actor == alice)
+}
+
+test("a device's key is trusted once a trusted device signs it", async ()=> {
+  const server = new MemoryServer()
+  const phone = client(server, alice, { signing: true, namespace: 'phone' })
+  const bob = client(server, 'graffitiactor://bob')
+  let laptop
+  const controller = new AbortController()
+  try {
+    const seen = collect(bob, ['room'], controller.signal)
+    await until(()=> phone.open && bob.open && signingKeys(server).length == 1)
+
+    const first = phone.post({ context: ['room'], content: 'from my phone' })
+    await until(()=> seen.has(first.id))
+    assert.equal(seen.get(first.id).verified, true)
+
+    // A new device publishes its own key, which
+    // bob has no reason to trust yet
+    laptop = client(server, alice, { signing: true, namespace: 'laptop' })
+    await until(()=> laptop.open && signingKeys(server).length == 2)
+    const second = laptop.post({ context: ['room'], content: 'from my laptop' })
+    await until(()=> seen.has(second.id))
+    assert.equal(seen.get(second.id).verified, false)
+
+    const { jwk } = await laptop.signatures.keyPair()
+    phone.post({ type: 'PublicKey', purpose: 'signing', publicKey: jwk, context: [alice] })
+    await until(()=> signingKeys(server).length == 3)
+    const third = laptop.post({ context: ['room'], content: 'from my laptop again' })
+    await until(()=> seen.has(third.id))
+    assert.equal(seen.get(third.id).verified, true)
+
+    // Reconnecting doesn't publish the keys again
+    phone.close()
+    const again = client(server, alice, { signing: true, namespace: 'phone' })
+    await until(()=> again.open)
+    await new Promise(resolve=> setTimeout(resolve, 50))
+    assert.equal(signingKeys(server).length, 3)
+    again.close()
+  } finally {
+    controller.abort()
+    phone.close()
+    laptop?.close()
+    bob.close()
+  }
+})
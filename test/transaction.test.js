@@ -0,0 +1,58 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MemoryServer } from '../graffiti.js'
+import { client, collect, until } from './helpers.js'
+
+test('a transaction is sent as one batch', async t=> {
+  const server = new MemoryServer()
+  const alice = client(server, 'graffitiactor://alice')
+  const bob = client(server, 'graffitiactor://bob')
+  const controller = new AbortController()
+  t.after(()=> {
+    controller.abort()
+    alice.close()
+    bob.close()
+  })
+  const seen = collect(bob, ['room'], controller.signal)
+  await until(()=> alice.open && bob.open)
+
+  const old = alice.post({ context: ['room'], content: 'old' })
+  await until(()=> seen.has(old.id))
+
+  let posted
+  await alice.transaction(()=> {
+    posted = alice.post({ context: ['room'], content: 'new' })
+    alice.remove(old)
+  })
+  await until(()=> seen.has(posted.id) && !seen.has(old.id))
+  assert.equal(alice.status(posted), 'synced')
+})
+
+test('a rejected transaction is rolled back as a whole', async t=> {
+  const server = new MemoryServer()
+  const alice = client(server, 'graffitiactor://alice')
+  const controller = new AbortController()
+  t.after(()=> {
+    controller.abort()
+    alice.close()
+  })
+  const seen = collect(alice, ['room'], controller.signal)
+  await until(()=> alice.open)
+
+  const old = alice.post({ context: ['room'], content: 'old' })
+  await until(()=> seen.has(old.id) && alice.status(old) == 'synced')
+  // Gone from the server without anyone hearing
+  delete server.objects[old.id]
+
+  let posted
+  await alice.transaction(()=> {
+    posted = alice.post({ context: ['room'], content: 'new' })
+    seen.get(old.id).content = 'edited'
+    alice.remove(seen.get(old.id))
+  })
+  await until(()=> alice.status(posted) == 'failed')
+  assert.equal(alice.status(old), 'failed')
+  await until(()=> !seen.has(posted.id) && seen.has(old.id))
+  assert.equal(seen.get(old.id).content, 'old')
+  assert.ok(!(posted.id in server.objects))
+})